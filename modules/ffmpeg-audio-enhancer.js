@@ -0,0 +1,155 @@
+/**
+ * 音频增强
+ * 笔记本麦克风的录音通常音量小、底噪明显，可选的处理链依次为：
+ * 高通滤波（去掉低频嗡声）→ afftdn降噪 → loudnorm响度标准化（EBU R128，两遍：先测量再按测量值线性调整）→ 限幅
+ * 纯函数实现，响度测量由 FFmpegTasks 执行（见 MediaProbe.parseLoudnormStats），可以在Node中直接测试
+ */
+
+// 默认音频增强参数（四个处理步骤默认都关闭）
+export const DEFAULT_AUDIO_ENHANCE_OPTIONS = Object.freeze({
+    highpass: false,
+    denoise: false,
+    loudnorm: false,
+    limiter: false,
+    highpassFrequency: 80,     // 高通截止频率（Hz）
+    noiseReduction: 12,        // afftdn降噪量（dB）
+    noiseFloor: -50,           // afftdn估计的底噪（dB）
+    targetLoudness: -16,       // 目标综合响度（LUFS），适合语音和网络播放
+    truePeak: -1.5,            // 最大真峰值（dBTP）
+    loudnessRange: 11,         // 目标响度范围（LU）
+    limiterCeiling: -1         // 限幅上限（dBFS）
+});
+
+// 处理步骤的名称（用于日志）
+const STEP_LABELS = Object.freeze({
+    highpass: '高通',
+    denoise: '降噪',
+    loudnorm: '响度标准化',
+    limiter: '限幅'
+});
+
+export class AudioEnhancer {
+    /**
+     * 合并默认参数（undefined和null表示使用默认值）
+     * @param {object|null} options - 音频增强参数，见 DEFAULT_AUDIO_ENHANCE_OPTIONS
+     * @returns {object} 完整的参数
+     */
+    static resolve(options = null) {
+        const defined = Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value != null));
+        return { ...DEFAULT_AUDIO_ENHANCE_OPTIONS, ...defined };
+    }
+
+    /**
+     * 是否开启了任一处理步骤
+     * @param {object|null} options - 音频增强参数
+     * @returns {boolean}
+     */
+    static isEnabled(options = null) {
+        const settings = this.resolve(options);
+        return Object.keys(STEP_LABELS).some(step => settings[step]);
+    }
+
+    /**
+     * 响度测量前需要应用的滤镜（高通和降噪），loudnorm测量的应是它实际处理的信号
+     * @param {object} settings - resolve() 的结果
+     * @returns {string|null} 滤镜字符串，没有时返回null
+     */
+    static getPreFilter(settings) {
+        const filters = [];
+        if (settings.highpass) {
+            filters.push(`highpass=f=${settings.highpassFrequency}`);
+        }
+        if (settings.denoise) {
+            filters.push(`afftdn=nr=${settings.noiseReduction}:nf=${settings.noiseFloor}`);
+        }
+        return filters.length > 0 ? filters.join(',') : null;
+    }
+
+    /**
+     * loudnorm滤镜
+     * @param {object} settings - resolve() 的结果
+     * @param {object|null} measured - 第一遍的测量值（见 MediaProbe.parseLoudnormStats），
+     *   有效时按测量值线性调整，否则使用单遍的动态标准化
+     * @param {object} extra - { printStats: 是否输出JSON统计（测量时使用） }
+     * @returns {string} 滤镜字符串
+     */
+    static getLoudnormFilter(settings, measured = null, { printStats = false } = {}) {
+        let filter = `loudnorm=I=${settings.targetLoudness}:TP=${settings.truePeak}:LRA=${settings.loudnessRange}`;
+        if (this.isValidMeasurement(measured)) {
+            filter += `:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}`
+                + `:measured_LRA=${measured.loudnessRange}:measured_thresh=${measured.threshold}`
+                + `:offset=${measured.targetOffset}:linear=true`;
+        }
+        if (printStats) {
+            filter += ':print_format=json';
+        }
+        return filter;
+    }
+
+    /**
+     * 限幅滤镜（关闭alimiter的自动电平，只压低超过上限的峰值）
+     * @param {object} settings - resolve() 的结果
+     * @returns {string} 滤镜字符串
+     */
+    static getLimiterFilter(settings) {
+        const limit = Math.pow(10, settings.limiterCeiling / 20);
+        return `alimiter=limit=${limit.toFixed(4)}:level=0`;
+    }
+
+    /**
+     * 构建完整的处理链
+     * @param {object} settings - resolve() 的结果
+     * @param {object|null} measured - 第一遍的响度测量值
+     * @returns {string|null} -af 使用的滤镜字符串，没有开启任何步骤时返回null
+     */
+    static buildFilterChain(settings, measured = null) {
+        const filters = [];
+        const preFilter = this.getPreFilter(settings);
+        if (preFilter) filters.push(preFilter);
+        if (settings.loudnorm) filters.push(this.getLoudnormFilter(settings, measured));
+        if (settings.limiter) filters.push(this.getLimiterFilter(settings));
+        return filters.length > 0 ? filters.join(',') : null;
+    }
+
+    /**
+     * 测量值是否可用于第二遍（整段静音时loudnorm输出 -inf）
+     * @param {object|null} measured - 测量值
+     * @returns {boolean}
+     */
+    static isValidMeasurement(measured) {
+        if (!measured) return false;
+        return ['integrated', 'truePeak', 'loudnessRange', 'threshold', 'targetOffset']
+            .every(key => Number.isFinite(measured[key]));
+    }
+
+    /**
+     * 开启的处理步骤的文字描述（用于日志）
+     * @param {object} settings - resolve() 的结果
+     * @returns {string} 如 "高通 80Hz、降噪 12dB、响度标准化 -16 LUFS"
+     */
+    static describe(settings) {
+        const details = {
+            highpass: `${settings.highpassFrequency}Hz`,
+            denoise: `${settings.noiseReduction}dB`,
+            loudnorm: `${settings.targetLoudness} LUFS`,
+            limiter: `${settings.limiterCeiling} dBFS`
+        };
+        return Object.keys(STEP_LABELS)
+            .filter(step => settings[step])
+            .map(step => `${STEP_LABELS[step]} ${details[step]}`)
+            .join('、');
+    }
+
+    /**
+     * 测量值的文字描述（用于日志）
+     * @param {object|null} measured - 测量值
+     * @returns {string} 如 "-27.61 LUFS，真峰值 -8.10 dBTP，响度范围 5.20 LU"
+     */
+    static describeLoudness(measured) {
+        if (!measured || !Number.isFinite(measured.integrated)) return '无法测量';
+        const format = (value) => (Number.isFinite(value) ? value.toFixed(2) : '?');
+        return `${format(measured.integrated)} LUFS，真峰值 ${format(measured.truePeak)} dBTP，响度范围 ${format(measured.loudnessRange)} LU`;
+    }
+}
+
+export default AudioEnhancer;
@@ -0,0 +1,1110 @@
+/**
+ * FFmpeg 命令构建器
+ * Worker模式和直接模式共用的纯函数命令构建，确保相同选项产生相同输出
+ * 不依赖FFmpeg实例或WASM，可以在Node中直接测试
+ */
+
+import { DEFAULT_SILENCE_OPTIONS } from './ffmpeg-silence-analyzer.js';
+import OverlayStyle from './ffmpeg-overlay-style.js';
+
+// x264极速参数（牺牲压缩效率换取速度）
+const X264_SPEED_PARAMS = 'ref=1:me=dia:subme=1:mixed-refs=0:trellis=0:weightp=0:weightb=0:8x8dct=0:fast-pskip=1';
+
+// 默认编码参数（两种模式统一）
+// tune、x264Params、h264Level、keyframeInterval、bFrames、sceneCutThreshold 设为 null 表示不添加对应参数（使用x264的默认值）
+export const DEFAULT_ENCODE_OPTIONS = {
+    preset: 'ultrafast',
+    crf: 28,
+    tune: 'zerolatency',
+    x264Params: X264_SPEED_PARAMS,
+    h264Profile: 'baseline',    // baseline确保最大兼容性
+    h264Level: null,            // 由x264按分辨率和帧率选择（固定3.0时720p会超出限制）
+    keyframeInterval: 1,        // 关键帧间隔（秒）
+    bFrames: 0,                 // B帧数量
+    sceneCutThreshold: 40,      // 场景切换检测阈值
+    audioBitrate: '96k',
+    audioChannels: 2,
+    audioSampleRate: 44100,
+    frameRate: 30,
+    fastMode: true,
+    targetSizeBytes: null,      // 设置后改用码率控制，按目标文件大小编码
+    twoPass: false,             // 目标大小模式下是否两遍编码
+    validateOutput: true        // 编码后探测输出文件并校验（见 OutputValidator）
+};
+
+// 内置质量档位
+export const QUALITY_PROFILES = Object.freeze({
+    speed: {
+        label: '极速',
+        preset: 'ultrafast',
+        crf: 32,
+        audioBitrate: '64k',
+        audioChannels: 1,
+        audioSampleRate: 44100
+    },
+    balanced: {
+        label: '均衡',
+        preset: 'veryfast',
+        crf: 26,
+        h264Profile: 'main',
+        keyframeInterval: 2,
+        audioBitrate: '96k',
+        audioChannels: 2,
+        audioSampleRate: 44100
+    },
+    quality: {
+        label: '高质量',
+        preset: 'medium',
+        crf: 21,
+        tune: null,
+        x264Params: null,
+        h264Profile: 'high',
+        keyframeInterval: null,
+        bFrames: null,
+        sceneCutThreshold: null,
+        audioBitrate: '160k',
+        audioChannels: 2,
+        audioSampleRate: 48000
+    },
+    archive: {
+        label: '存档',
+        preset: 'slow',
+        crf: 18,
+        tune: null,
+        x264Params: null,
+        h264Profile: 'high',
+        keyframeInterval: null,
+        bFrames: null,
+        sceneCutThreshold: null,
+        audioBitrate: '192k',
+        audioChannels: 2,
+        audioSampleRate: 48000
+    },
+    'voice-only': {
+        label: '仅语音',
+        preset: 'ultrafast',
+        crf: 38,
+        audioBitrate: '48k',
+        audioChannels: 1,
+        audioSampleRate: 16000,
+        fastMode: false     // 即使能复制也重编码，以获得最小的文件
+    }
+});
+
+// 目标大小模式的码率限制
+export const TARGET_SIZE_LIMITS = {
+    containerOverhead: 0.03,    // MP4容器开销约占3%
+    minVideoBitrate: 50000,     // 视频最低50kbps
+    minAudioBitrate: 24000      // 音频最低24kbps
+};
+
+// 编码回退阶梯：按顺序尝试，前一级失败时使用下一级
+// remux —— 按探测结果复制能复制的流；x264-baseline —— 按档位参数的标准H.264/AAC重编码；
+// x264-safe —— 偶数尺寸、滤镜固定帧率和yuv420p，不使用极速参数；mpeg4-mp3 —— 最后手段
+export const FALLBACK_RUNGS = Object.freeze(['remux', 'x264-baseline', 'x264-safe', 'mpeg4-mp3']);
+
+// 各级回退使用的编码器（用于日志和报告）
+export const FALLBACK_RUNG_LABELS = Object.freeze({
+    'remux': '流复制',
+    'x264-baseline': 'H.264 + AAC（档位参数）',
+    'x264-safe': 'H.264 baseline + AAC（安全像素格式和帧率）',
+    'mpeg4-mp3': 'MPEG-4 Part 2 + MP3'
+});
+
+// 各级回退重编码输出的编码（用于校验输出；remux级复制的流保持输入的编码）
+export const FALLBACK_RUNG_CODECS = Object.freeze({
+    'x264-baseline': Object.freeze({ video: 'h264', audio: 'aac' }),
+    'x264-safe': Object.freeze({ video: 'h264', audio: 'aac' }),
+    'mpeg4-mp3': Object.freeze({ video: 'mpeg4', audio: 'mp3' })
+});
+
+// 两遍编码的统计文件前缀
+export const PASS_LOG_FILE = 'ffmpeg2pass';
+
+// 分段转换的文件名
+export const SEGMENT_FILES = Object.freeze({
+    pattern: 'segment_%03d.webm',   // 切分出的片段
+    list: 'segments.csv',           // 片段列表（文件名,开始时间,结束时间）
+    concatList: 'concat.txt',       // concat分离器的输入列表
+    output: 'output.mp4'
+});
+
+// 音频导出格式：编码器、封装格式、扩展名、MIME类型、默认码率（null表示无损，不设码率）
+export const AUDIO_FORMATS = Object.freeze({
+    m4a: { label: 'M4A (AAC)', codec: 'aac', muxer: 'ipod', extension: 'm4a', mimeType: 'audio/mp4', bitrate: '128k' },
+    mp3: { label: 'MP3', codec: 'libmp3lame', muxer: 'mp3', extension: 'mp3', mimeType: 'audio/mpeg', bitrate: '128k' },
+    wav: { label: 'WAV (PCM)', codec: 'pcm_s16le', muxer: 'wav', extension: 'wav', mimeType: 'audio/wav', bitrate: null },
+    opus: { label: 'Opus', codec: 'libopus', muxer: 'opus', extension: 'opus', mimeType: 'audio/ogg', bitrate: '64k' }
+});
+
+// libopus只支持这些采样率
+export const OPUS_SAMPLE_RATES = Object.freeze([48000, 24000, 16000, 12000, 8000]);
+
+// 默认音频导出参数（sampleRate、channels、bitrate 为 null 表示保持输入或使用格式默认值；end为null表示到结尾）
+export const DEFAULT_AUDIO_EXTRACT_OPTIONS = Object.freeze({
+    format: 'm4a',
+    sampleRate: null,
+    channels: null,
+    bitrate: null,
+    start: 0,
+    end: null
+});
+
+// 流复制裁剪的中间文件（Matroska可以容纳任何输入编码）
+export const TRIM_FILES = Object.freeze({
+    partPrefix: 'trim_part_',       // 每个保留区间复制出的片段：trim_part_000.mkv ...
+    list: 'trim_concat.txt',        // 多个区间时concat分离器的输入列表
+    output: 'trimmed.mkv'           // 拼接后的裁剪结果
+});
+
+// 动图导出格式
+export const ANIMATION_FORMATS = Object.freeze({
+    gif: { label: 'GIF', codec: 'gif', muxer: 'gif', extension: 'gif', mimeType: 'image/gif' },
+    webp: { label: '动态WebP', codec: 'libwebp_anim', muxer: 'webp', extension: 'webp', mimeType: 'image/webp' }
+});
+
+// 默认动图参数
+// end为null表示到视频结尾；loop为播放次数，0表示无限循环
+export const DEFAULT_ANIMATION_OPTIONS = Object.freeze({
+    format: 'gif',
+    frameRate: 10,
+    width: 480,
+    start: 0,
+    end: null,
+    loop: 0,
+    dither: 'sierra2_4a'   // paletteuse的抖动算法
+});
+
+// 动图调色板文件名（palettegen输出，paletteuse输入）
+export const PALETTE_FILE = 'palette.png';
+
+// 合成背景图片（幻灯片）的扩展名（image2按扩展名选择解码器，文件名要与图片格式一致）
+export const SLIDE_FILE_EXTENSIONS = Object.freeze({
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+});
+
+// 默认合成参数
+export const DEFAULT_COMPOSITE_OPTIONS = {
+    preset: 'fast',
+    crf: 23,
+    audioBitrate: '128k',
+    durationMargin: 1      // 输出时长上限比输入多出的秒数（探测的时长可能略短）
+};
+
+export class FFmpegCommandBuilder {
+    /**
+     * 合并默认编码参数（undefined表示使用默认值）
+     * @param {object} options - 用户选项
+     * @returns {object} 完整的编码参数
+     */
+    static resolveEncodeOptions(options = {}) {
+        const resolved = { ...DEFAULT_ENCODE_OPTIONS };
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined) {
+                resolved[key] = value;
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * 解析码率（"96k"、"1.5M" 或 bit/s数字）
+     * @param {string|number} bitrate - 码率
+     * @returns {number} 码率（bit/s）
+     */
+    static parseBitrate(bitrate) {
+        if (typeof bitrate === 'number') return bitrate;
+
+        const match = String(bitrate).trim().match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+        if (!match) {
+            throw new Error(`无法解析码率: ${bitrate}`);
+        }
+
+        const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2].toLowerCase()];
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    /**
+     * 根据目标文件大小计算视频/音频码率
+     * @param {number} targetSizeBytes - 目标文件大小（字节）
+     * @param {number} duration - 时长（秒）
+     * @param {string|number} audioBitrate - 期望的音频码率
+     * @returns {{videoBitrate: number, audioBitrate: number, achievable: boolean}}
+     *   码率单位为bit/s；achievable为false表示即使使用最低码率也会超出目标
+     */
+    static computeTargetBitrates(targetSizeBytes, duration, audioBitrate = DEFAULT_ENCODE_OPTIONS.audioBitrate) {
+        if (!(targetSizeBytes > 0)) {
+            throw new Error('目标文件大小必须大于0');
+        }
+        if (!(duration > 0)) {
+            throw new Error('无法确定视频时长，不能按目标大小编码');
+        }
+
+        const { containerOverhead, minVideoBitrate, minAudioBitrate } = TARGET_SIZE_LIMITS;
+        const totalBitrate = Math.floor(targetSizeBytes * 8 * (1 - containerOverhead) / duration);
+
+        // 音频预算不超过总码率的四分之一，保证视频有足够码率
+        let audio = Math.min(this.parseBitrate(audioBitrate), Math.floor(totalBitrate / 4));
+        audio = Math.max(audio, minAudioBitrate);
+
+        const video = Math.max(totalBitrate - audio, minVideoBitrate);
+
+        return {
+            videoBitrate: video,
+            audioBitrate: audio,
+            achievable: totalBitrate - audio >= minVideoBitrate
+        };
+    }
+
+    /**
+     * H.264视频编码参数
+     * @param {object} options - 编码参数（preset、crf、tune、x264Params、frameRate，
+     *   h264Profile、h264Level、keyframeInterval、bFrames、sceneCutThreshold；
+     *   设置videoBitrate时改用码率控制，pass为1或2时启用两遍编码）
+     * @returns {string[]} FFmpeg参数
+     */
+    static getVideoEncodeArgs(options = {}) {
+        const {
+            preset, crf, tune, x264Params, frameRate, videoBitrate, pass,
+            h264Profile, h264Level, keyframeInterval, bFrames, sceneCutThreshold
+        } = this.resolveEncodeOptions(options);
+
+        const args = ['-c:v', 'libx264', '-preset', preset];
+        if (tune) {
+            args.push('-tune', tune);
+        }
+
+        if (videoBitrate) {
+            // 码率控制：限制峰值码率，使文件大小可预测
+            const bitrate = this.parseBitrate(videoBitrate);
+            args.push(
+                '-b:v', bitrate.toString(),
+                '-maxrate', Math.round(bitrate * 1.5).toString(),
+                '-bufsize', (bitrate * 2).toString()
+            );
+            if (pass) {
+                args.push('-pass', pass.toString(), '-passlogfile', PASS_LOG_FILE);
+            }
+        } else {
+            args.push('-crf', crf.toString());
+        }
+
+        args.push(
+            '-pix_fmt', 'yuv420p',       // 确保像素格式兼容
+            '-profile:v', h264Profile
+        );
+        if (h264Level) {
+            args.push('-level:v', h264Level);
+        }
+        args.push(
+            // 修复帧率和时间戳问题（MediaRecorder输出为可变帧率）
+            '-r', frameRate.toString(),
+            '-fps_mode', 'cfr'
+        );
+
+        // 极速优化参数
+        if (x264Params) {
+            args.push('-x264-params', x264Params);
+        }
+
+        if (keyframeInterval) {
+            args.push('-g', Math.round(frameRate * keyframeInterval).toString());
+        }
+        if (bFrames != null) {
+            args.push('-bf', bFrames.toString());
+        }
+        if (sceneCutThreshold != null) {
+            args.push('-sc_threshold', sceneCutThreshold.toString());
+        }
+
+        return args;
+    }
+
+    /**
+     * AAC音频编码参数
+     * @param {object} options - 编码参数（audioBitrate、audioChannels、audioSampleRate）
+     * @returns {string[]} FFmpeg参数
+     */
+    static getAudioEncodeArgs(options = {}) {
+        const { audioBitrate, audioChannels, audioSampleRate } = this.resolveEncodeOptions(options);
+
+        return [
+            '-c:a', 'aac',
+            '-b:a', audioBitrate,
+            '-ac', audioChannels.toString(),
+            '-ar', audioSampleRate.toString()
+        ];
+    }
+
+    /**
+     * 构建WebM到MP4转换命令
+     * @param {{strategy: string, video: string, audio: string}} plan - 转换策略（见 MediaProbe.planStreamCopy）
+     * @param {object} options - 编码参数（trimFilter —— 可选的重编码裁剪，只能用于transcode策略，见 applyTrimFilter；
+     *   audioFilter —— 可选的音频滤镜，只用于重编码的音频，见 applyAudioFilter）
+     * @param {{input: string, output: string}} files - 输入输出文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildConvertCommand(plan, options = {}, { input = 'input.webm', output = 'output.mp4' } = {}) {
+        const command = ['-i', input];
+
+        if (plan.video === 'copy') {
+            command.push('-c:v', 'copy');
+        } else if (plan.video === 'transcode') {
+            command.push(...this.getVideoEncodeArgs(options));
+        }
+
+        if (plan.audio === 'copy') {
+            command.push('-c:a', 'copy');
+        } else if (plan.audio === 'transcode') {
+            command.push(...this.getAudioEncodeArgs(options));
+        } else if (plan.audio === 'none') {
+            command.push('-an');
+        }
+
+        // MP4中的Opus/VP9在部分FFmpeg版本中仍被标记为实验性
+        if (plan.strategy !== 'transcode') {
+            command.push('-strict', 'experimental');
+        }
+
+        command.push(
+            '-movflags', '+faststart',           // 优化流媒体播放
+            '-threads', '0',                     // 使用所有可用线程
+            '-avoid_negative_ts', 'make_zero',   // 修复时间戳问题
+            '-f', 'mp4',
+            output
+        );
+
+        return this.applyTrimFilter(this.applyAudioFilter(command, options.audioFilter), options.trimFilter);
+    }
+
+    /**
+     * 安全视频滤镜：尺寸取偶数、按滤镜重采样为恒定帧率、转换为yuv420p
+     * （奇数尺寸和非yuv420p输入是H.264编码失败的常见原因）
+     * @param {number} frameRate - 输出帧率
+     * @returns {string} 滤镜字符串
+     */
+    static getSafeVideoFilter(frameRate) {
+        return `scale=trunc(iw/2)*2:trunc(ih/2)*2,fps=${frameRate},format=yuv420p`;
+    }
+
+    /**
+     * 构建安全参数的H.264重编码命令（回退阶梯 x264-safe 级）
+     * @param {object} options - 编码参数（preset、crf、frameRate及音频参数；不使用tune和x264Params）
+     * @param {{input: string, output: string}} files - 输入输出文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildSafeConvertCommand(options = {}, { input = 'input.webm', output = 'output.mp4' } = {}) {
+        const { preset, crf, frameRate, videoOnly } = this.resolveEncodeOptions(options);
+
+        return this.applyTrimFilter(this.applyAudioFilter([
+            '-i', input,
+            '-vf', this.getSafeVideoFilter(frameRate),
+            '-c:v', 'libx264',
+            '-preset', preset,
+            '-crf', crf.toString(),
+            '-profile:v', 'baseline',
+            '-pix_fmt', 'yuv420p',
+            '-g', frameRate.toString(),
+            '-bf', '0',
+            ...(videoOnly ? ['-an'] : [
+                ...this.getAudioEncodeArgs(options),
+                '-af', 'aresample=async=1'       // 补齐音频时间戳空隙
+            ]),
+            '-max_muxing_queue_size', '1024',
+            '-movflags', '+faststart',
+            '-avoid_negative_ts', 'make_zero',
+            '-f', 'mp4',
+            output
+        ], options.audioFilter), options.trimFilter);
+    }
+
+    /**
+     * 构建最后手段的MPEG-4/MP3编码命令（回退阶梯 mpeg4-mp3 级，不依赖libx264和AAC编码器）
+     * @param {object} options - 编码参数（frameRate、audioBitrate、audioChannels、audioSampleRate）
+     * @param {{input: string, output: string}} files - 输入输出文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildLastResortCommand(options = {}, { input = 'input.webm', output = 'output.mp4' } = {}) {
+        const { frameRate, audioBitrate, audioChannels, audioSampleRate, videoOnly } = this.resolveEncodeOptions(options);
+
+        return this.applyTrimFilter(this.applyAudioFilter([
+            '-i', input,
+            '-vf', this.getSafeVideoFilter(frameRate),
+            '-c:v', 'mpeg4',
+            '-q:v', '5',
+            ...(videoOnly ? ['-an'] : [
+                '-c:a', 'libmp3lame',
+                '-b:a', audioBitrate,
+                '-ac', audioChannels.toString(),
+                '-ar', audioSampleRate.toString()
+            ]),
+            '-max_muxing_queue_size', '1024',
+            '-movflags', '+faststart',
+            '-f', 'mp4',
+            output
+        ], options.audioFilter), options.trimFilter);
+    }
+
+    /**
+     * 回退阶梯某一级应当输出的编码
+     * @param {string} rung - 回退级别（FALLBACK_RUNGS）
+     * @param {{video: string, audio: string}} plan - 该级使用的策略（见 buildFallbackCommand）
+     * @param {{video: string|null, audio: string|null}} inputCodecs - 输入的视频/音频编码（复制的流保持不变）
+     * @returns {{video: string|null, audio: string|null}} 期望的编码，没有对应的流时为null
+     */
+    static getRungCodecs(rung, plan, inputCodecs = {}) {
+        const encoded = FALLBACK_RUNG_CODECS[rung] || FALLBACK_RUNG_CODECS['x264-baseline'];
+        if (rung !== 'remux') {
+            return { ...encoded };
+        }
+        const expect = (type) => {
+            if (plan[type] === 'copy') return inputCodecs[type] || null;
+            return plan[type] === 'none' ? null : encoded[type];
+        };
+        return { video: expect('video'), audio: expect('audio') };
+    }
+
+    /**
+     * 构建回退阶梯某一级的命令
+     * @param {string} rung - 回退级别（FALLBACK_RUNGS）
+     * @param {{strategy: string, video: string, audio: string}} plan - remux级使用的流复制策略；
+     *   x264-baseline级使用的重编码策略
+     * @param {object} options - 编码参数
+     * @param {{input: string, output: string}} files - 输入输出文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildFallbackCommand(rung, plan, options = {}, files = {}) {
+        switch (rung) {
+            case 'remux':
+            case 'x264-baseline':
+                return this.buildConvertCommand(plan, options, files);
+            case 'x264-safe':
+                return this.buildSafeConvertCommand(options, files);
+            case 'mpeg4-mp3':
+                return this.buildLastResortCommand(options, files);
+            default:
+                throw new Error(`未知的回退级别: ${rung}`);
+        }
+    }
+
+    /**
+     * 构建两遍编码的第一遍命令（只分析视频，不输出文件）
+     * @param {object} options - 编码参数（需包含videoBitrate）
+     * @param {{input: string}} files - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildFirstPassCommand(options, { input = 'input.webm' } = {}) {
+        const command = ['-i', input]
+            .concat(this.getVideoEncodeArgs({ ...options, pass: 1 }))
+            .concat(['-an', '-f', 'null', '-']);
+        return this.applyTrimFilter(command, options.trimFilter);
+    }
+
+    /**
+     * 两遍编码产生的统计文件（编码后需要清理）
+     * @returns {string[]} 文件名列表
+     */
+    static getPassLogFiles() {
+        return [`${PASS_LOG_FILE}-0.log`, `${PASS_LOG_FILE}-0.log.mbtree`];
+    }
+
+    /**
+     * 确保尺寸为偶数（H.264要求）
+     * @param {string} size - "宽:高"
+     * @returns {string} 偶数化后的 "宽:高"
+     */
+    static toEvenSize(size) {
+        const [width, height] = size.split(':').map(Number);
+        const evenWidth = width % 2 === 0 ? width : width + 1;
+        const evenHeight = height % 2 === 0 ? height : height + 1;
+        return `${evenWidth}:${evenHeight}`;
+    }
+
+    /**
+     * 第index张幻灯片的文件名
+     * @param {number} index - 序号（从0开始）
+     * @param {string} type - 图片格式（见 SLIDE_FILE_EXTENSIONS）
+     * @returns {string} 如 "slide_000.png"
+     */
+    static getSlideFile(index, type) {
+        return `slide_${String(index).padStart(3, '0')}.${SLIDE_FILE_EXTENSIONS[type]}`;
+    }
+
+    /**
+     * 构建背景合成命令（背景幻灯片 + 缩放后的视频叠加）
+     * 每张幻灯片是一个循环的图片输入，多张时按显示时长截断后用concat拼接成背景
+     * @param {object} options - { videoScale, overlayPosition, outputSize, startTime，
+     *   trimFilter —— 可选的裁剪区间 { ranges, hasAudio }（设置后忽略startTime），
+     *   audioFilter —— 可选的音频滤镜（见 AudioEnhancer.buildFilterChain），
+     *   maxDuration —— 输出时长上限（秒），背景图片无限循环，正常情况下由overlay的shortest=1结束，
+     *   上限只在视频流结束异常时防止无限输出；未知时不限制，
+     *   overlayStyle —— 画面样式（形状、边框、投影、镜像，见 DEFAULT_OVERLAY_STYLE），overlayPosition为样式画面左上角的位置 }
+     * @param {{slides: {file: string, duration: number|null}[], input: string, output: string}} files - 文件名，
+     *   slides为按顺序显示的幻灯片和显示时长（见 SlideTimeline.planSegments），最后一张的duration为null
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildCompositeCommand(options, {
+        slides = [{ file: 'slide_000.jpg', duration: null }],
+        input = 'input_video.webm',
+        output = 'output_composite.mp4'
+    } = {}) {
+        const {
+            videoScale,
+            overlayPosition,
+            outputSize,
+            startTime = 0,
+            trimFilter = null,
+            audioFilter = null,
+            maxDuration = null,
+            overlayStyle = null
+        } = options;
+        const evenOutputSize = this.toEvenSize(outputSize);
+        const videoIndex = slides.length;
+
+        // 循环背景图片，除最后一张外只读取显示时长
+        const command = slides.flatMap(({ file, duration }) => [
+            '-loop', '1',
+            ...(duration != null ? ['-t', duration.toFixed(3)] : []),
+            '-i', file
+        ]);
+
+        // 多张幻灯片缩放到相同尺寸后按顺序拼接
+        const backgroundGraph = slides.length === 1
+            ? `[0:v]scale=${evenOutputSize}[bg]`
+            : slides.map((slide, index) => `[${index}:v]scale=${evenOutputSize},setsar=1[s${index}]`).join(';')
+                + `;${slides.map((slide, index) => `[s${index}]`).join('')}concat=n=${slides.length}:v=1:a=0[bg]`;
+
+        // 如果需要裁剪开头，添加 -ss 参数
+        if (startTime > 0 && !trimFilter) {
+            command.push('-ss', startTime.toString());
+        }
+
+        // 裁剪区间在缩放前处理，音频使用裁剪后的流
+        let videoSource = `[${videoIndex}:v]`;
+        let trimGraph = '';
+        if (trimFilter) {
+            trimGraph = this.buildTrimFilterGraph(trimFilter.ranges, {
+                hasAudio: trimFilter.hasAudio,
+                videoInput: `${videoIndex}:v`,
+                audioInput: `${videoIndex}:a`,
+                videoOutput: 'trimmed',
+                audioOutput: 'aout',
+                audioFilter
+            }) + ';';
+            videoSource = '[trimmed]';
+        }
+        // 没有裁剪时音频直接来自输入，音频滤镜用 -af
+        const audioMap = trimFilter
+            ? (trimFilter.hasAudio ? ['-map', '[aout]'] : [])
+            : ['-map', `${videoIndex}:a`, ...(audioFilter ? ['-af', audioFilter] : [])];
+
+        command.push(
+            '-i', input,
+            '-filter_complex',
+            `${trimGraph}${backgroundGraph};${this.buildOverlayGraph(videoSource, videoScale, overlayPosition, overlayStyle)}`,
+            '-map', '[v]',                    // 映射合成的视频流
+            ...audioMap,                      // 映射原视频的音频流
+            '-c:v', 'libx264',
+            '-preset', DEFAULT_COMPOSITE_OPTIONS.preset,
+            '-crf', DEFAULT_COMPOSITE_OPTIONS.crf.toString(),
+            '-c:a', 'aac',
+            '-b:a', DEFAULT_COMPOSITE_OPTIONS.audioBitrate,
+            ...(audioFilter ? ['-ar', '48000'] : []), // loudnorm输出192kHz，需要指定采样率
+            '-pix_fmt', 'yuv420p',
+            '-avoid_negative_ts', 'make_zero', // 避免时间戳问题
+            ...(maxDuration > 0 ? ['-t', maxDuration.toFixed(3)] : []),
+            output
+        );
+
+        return command;
+    }
+
+    /**
+     * 构建摄像头画面叠加到背景 [bg] 上的滤镜图，输出 [v]
+     * @param {string} videoSource - 摄像头画面的标签
+     * @param {string} videoScale - 缩放尺寸 "宽:高"
+     * @param {string} overlayPosition - 叠加位置 "x:y"
+     * @param {object|null} overlayStyle - 画面样式，没有样式时直接缩放叠加
+     * @returns {string} 滤镜图片段
+     */
+    static buildOverlayGraph(videoSource, videoScale, overlayPosition, overlayStyle = null) {
+        const settings = OverlayStyle.resolve(overlayStyle);
+        if (OverlayStyle.isPlain(settings)) {
+            return `${videoSource}scale=${videoScale}[small];[bg][small]overlay=${overlayPosition}:shortest=1[v]`;
+        }
+
+        const [scaleWidth, scaleHeight] = videoScale.split(':').map(Number);
+        const [x, y] = overlayPosition.split(':').map(Number);
+        const layout = OverlayStyle.getLayout(scaleWidth, scaleHeight, settings);
+        return OverlayStyle.buildFilterGraph({ source: videoSource, background: '[bg]', x, y, output: '[v]' }, layout, settings);
+    }
+
+    /**
+     * 构建切分命令：流复制，在segmentDuration之后的第一个关键帧处切分，每段时间戳从0开始
+     * @param {number} segmentDuration - 每段时长（秒）
+     * @param {{input: string}} files - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildSegmentCommand(segmentDuration, { input = 'input.webm' } = {}) {
+        return [
+            '-i', input,
+            '-map', '0',
+            '-c', 'copy',
+            '-f', 'segment',
+            '-segment_time', segmentDuration.toString(),
+            '-reset_timestamps', '1',
+            '-segment_list', SEGMENT_FILES.list,
+            '-segment_list_type', 'csv',
+            SEGMENT_FILES.pattern
+        ];
+    }
+
+    /**
+     * 解析切分命令生成的片段列表
+     * @param {string} csv - segments.csv内容
+     * @returns {{file: string, start: number, end: number}[]} 片段列表
+     */
+    static parseSegmentList(csv) {
+        return csv.split('\n')
+            .map(line => line.trim().split(','))
+            .filter(fields => fields.length >= 3 && fields[0])
+            .map(([file, start, end]) => ({ file, start: parseFloat(start), end: parseFloat(end) }));
+    }
+
+    /**
+     * 构建concat分离器的输入列表
+     * @param {string[]} files - 按顺序拼接的文件路径
+     * @returns {string} 列表内容
+     */
+    static buildConcatList(files) {
+        return files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n') + '\n';
+    }
+
+    /**
+     * 构建拼接命令（concat分离器，视频流复制，不重编码）
+     * 指定audioInput时片段只含视频，音频从完整输入一次编码后混流：
+     * 每段单独编码AAC会在片段边界引入编码器延迟（priming），造成爆音和音画漂移
+     * @param {{list: string, output: string, format: string, audioInput: string}} files - 列表文件名、输出文件名、
+     *   封装格式（默认mp4）和音频来源
+     * @param {object} audioOptions - 音频编码参数（见 getAudioEncodeArgs）及可选的audioFilter（见 applyAudioFilter），
+     *   只在指定audioInput时使用
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildConcatCommand({ list = SEGMENT_FILES.concatList, output = SEGMENT_FILES.output, format = 'mp4', audioInput = null } = {}, audioOptions = {}) {
+        const command = [
+            '-f', 'concat',
+            '-safe', '0',                        // 列表中使用绝对路径
+            '-i', list
+        ];
+
+        if (audioInput) {
+            command.push(
+                '-i', audioInput,
+                '-map', '0:v:0',
+                '-map', '1:a:0?',                // 输入没有音频时只输出视频
+                '-c:v', 'copy',
+                ...this.getAudioEncodeArgs(audioOptions)
+            );
+        } else {
+            command.push('-c', 'copy');
+        }
+
+        command.push(
+            ...(format === 'mp4' ? ['-movflags', '+faststart'] : []),
+            '-f', format,
+            output
+        );
+        return audioInput ? this.applyAudioFilter(command, audioOptions.audioFilter) : command;
+    }
+
+    /**
+     * 流复制裁剪片段的文件名
+     * @param {number} index - 区间序号
+     * @returns {string} 文件名
+     */
+    static getTrimPartFile(index) {
+        return `${TRIM_FILES.partPrefix}${String(index).padStart(3, '0')}.mkv`;
+    }
+
+    /**
+     * 构建流复制裁剪命令：从关键帧开始复制一个区间，时间戳从0开始
+     * @param {{start: number, end: number|null}} range - 保留区间（秒），开始时间应落在关键帧上
+     * @param {{input: string, output: string}} files - 输入输出文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildTrimCopyCommand(range, { input = 'input.webm', output = TRIM_FILES.output } = {}) {
+        return [
+            ...this.getRangeInputArgs(range, input),
+            '-map', '0',
+            '-c', 'copy',
+            '-avoid_negative_ts', 'make_zero',
+            '-f', 'matroska',
+            output
+        ];
+    }
+
+    /**
+     * 构建重编码裁剪的滤镜图：每个区间 trim/atrim 后用 concat 滤镜拼接（保留可变帧率的时间戳）
+     * @param {{start: number, end: number|null}[]} ranges - 保留区间
+     * @param {object} streams - { hasAudio: 是否有音频, hasVideo: 是否输出视频（默认true，false时只裁剪音频）,
+     *   videoInput/audioInput: 输入流标签（默认0:v、0:a），
+     *   videoFilter/audioFilter: 裁剪后接着应用的滤镜, videoOutput/audioOutput: 输出标签（默认vout、aout） }
+     * @returns {string} filter_complex字符串
+     */
+    static buildTrimFilterGraph(ranges, {
+        hasAudio = true,
+        hasVideo = true,
+        videoInput = '0:v',
+        audioInput = '0:a',
+        videoFilter = null,
+        audioFilter = null,
+        videoOutput = 'vout',
+        audioOutput = 'aout'
+    } = {}) {
+        const count = ranges.length;
+        const parts = [];
+        const trimArgs = ({ start, end }) => `start=${start}${end != null ? `:end=${end}` : ''}`;
+
+        // 多个区间时先把输入分成多路
+        const splitInput = (input, filter, prefix) => {
+            if (count === 1) return [`[${input}]`];
+            const labels = ranges.map((range, index) => `[${prefix}${index}]`);
+            parts.push(`[${input}]${filter}=${count}${labels.join('')}`);
+            return labels;
+        };
+        const finish = (filter) => (filter ? `,${filter}` : '');
+
+        const videoSources = hasVideo ? splitInput(videoInput, 'split', 'vs') : [];
+        const audioSources = hasAudio ? splitInput(audioInput, 'asplit', 'as') : [];
+
+        if (count === 1) {
+            if (hasVideo) {
+                parts.push(`${videoSources[0]}trim=${trimArgs(ranges[0])},setpts=PTS-STARTPTS${finish(videoFilter)}[${videoOutput}]`);
+            }
+            if (hasAudio) {
+                parts.push(`${audioSources[0]}atrim=${trimArgs(ranges[0])},asetpts=PTS-STARTPTS${finish(audioFilter)}[${audioOutput}]`);
+            }
+            return parts.join(';');
+        }
+
+        const concatInputs = ranges.map((range, index) => {
+            let labels = '';
+            if (hasVideo) {
+                parts.push(`${videoSources[index]}trim=${trimArgs(range)},setpts=PTS-STARTPTS[v${index}]`);
+                labels += `[v${index}]`;
+            }
+            if (hasAudio) {
+                parts.push(`${audioSources[index]}atrim=${trimArgs(range)},asetpts=PTS-STARTPTS[a${index}]`);
+                labels += `[a${index}]`;
+            }
+            return labels;
+        });
+
+        const concatOutputs = `${hasVideo ? '[vcat]' : ''}${hasAudio ? '[acat]' : ''}`;
+        parts.push(`${concatInputs.join('')}concat=n=${count}:v=${hasVideo ? 1 : 0}:a=${hasAudio ? 1 : 0}${concatOutputs}`);
+        if (hasVideo) {
+            parts.push(`[vcat]${videoFilter || 'null'}[${videoOutput}]`);
+        }
+        if (hasAudio) {
+            parts.push(`[acat]${audioFilter || 'anull'}[${audioOutput}]`);
+        }
+        return parts.join(';');
+    }
+
+    /**
+     * 给转换命令加上重编码裁剪：原有的 -vf/-af 滤镜移到裁剪之后，用 filter_complex 和 -map 替代
+     * 只适用于重编码命令（滤镜不能与流复制一起使用）
+     * @param {string[]} command - 以 -i 输入文件 开头的FFmpeg参数
+     * @param {{ranges: object[], hasAudio: boolean}|null} trimFilter - 裁剪区间和输入是否有音频，null时原样返回
+     * @returns {string[]} FFmpeg参数
+     */
+    static applyTrimFilter(command, trimFilter) {
+        if (!trimFilter) return command;
+
+        const result = command.slice();
+        const takeOption = (name) => {
+            const index = result.indexOf(name);
+            if (index < 0) return null;
+            return result.splice(index, 2)[1];
+        };
+
+        if (result.includes('copy')) {
+            throw new Error('裁剪滤镜只能用于重编码');
+        }
+
+        const videoFilter = takeOption('-vf');
+        const audioFilter = takeOption('-af');
+        const hasAudio = trimFilter.hasAudio && !result.includes('-an');
+        const graph = this.buildTrimFilterGraph(trimFilter.ranges, { hasAudio, videoFilter, audioFilter });
+
+        const inputEnd = result.indexOf('-i') + 2;
+        result.splice(inputEnd, 0,
+            '-filter_complex', graph,
+            '-map', '[vout]',
+            ...(hasAudio ? ['-map', '[aout]'] : [])
+        );
+        return result;
+    }
+
+    /**
+     * 给编码命令加上音频滤镜：已有 -af 时接在其后，否则插入到输出文件之前
+     * 音频被复制（-c:a copy）或不输出音频（-an）时原样返回
+     * @param {string[]} command - 以输出文件结尾的FFmpeg参数
+     * @param {string|null} audioFilter - 滤镜字符串，null时原样返回
+     * @returns {string[]} FFmpeg参数
+     */
+    static applyAudioFilter(command, audioFilter) {
+        if (!audioFilter || command.includes('-an')) return command;
+
+        const codecIndex = command.indexOf('-c:a');
+        if (codecIndex >= 0 && command[codecIndex + 1] === 'copy') return command;
+
+        const result = command.slice();
+        const filterIndex = result.indexOf('-af');
+        if (filterIndex >= 0) {
+            result[filterIndex + 1] = `${result[filterIndex + 1]},${audioFilter}`;
+        } else {
+            result.splice(result.length - 1, 0, '-af', audioFilter);
+        }
+        return result;
+    }
+
+    /**
+     * 合并默认音频导出参数并检查格式和采样率
+     * @param {object} options - { format, sampleRate, channels, bitrate, start, end }
+     * @returns {object} 完整的导出参数，另带 spec —— 格式定义（见 AUDIO_FORMATS）
+     * @throws {Error} 格式未知或Opus使用不支持的采样率时
+     */
+    static resolveAudioExtractOptions(options = {}) {
+        const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value != null));
+        const settings = { ...DEFAULT_AUDIO_EXTRACT_OPTIONS, ...defined };
+
+        const spec = AUDIO_FORMATS[settings.format];
+        if (!spec) {
+            throw new Error(`不支持的音频格式: ${settings.format}`);
+        }
+        if (settings.format === 'opus' && settings.sampleRate && !OPUS_SAMPLE_RATES.includes(settings.sampleRate)) {
+            throw new Error(`Opus不支持 ${settings.sampleRate}Hz 采样率（可用: ${OPUS_SAMPLE_RATES.join(', ')}）`);
+        }
+        if (settings.start < 0 || (settings.end != null && !(settings.end > settings.start))) {
+            throw new Error(`无效的时间范围: ${settings.start} - ${settings.end}`);
+        }
+
+        return { ...settings, spec };
+    }
+
+    /**
+     * 构建音频导出命令：丢弃视频，只编码第一条音频流（可只导出start-end范围）
+     * @param {object} options - 导出参数（见 DEFAULT_AUDIO_EXTRACT_OPTIONS）
+     * @param {{input: string, output: string}} files - 输入文件名；输出文件名默认为 audio.<扩展名>
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildExtractAudioCommand(options = {}, { input = 'input.webm', output = null } = {}) {
+        const settings = this.resolveAudioExtractOptions(options);
+        const { format, sampleRate, channels, bitrate, spec } = settings;
+        const command = [...this.getRangeInputArgs(settings, input), '-vn', '-map', '0:a:0', '-c:a', spec.codec];
+
+        // PCM没有码率可设
+        const audioBitrate = bitrate || spec.bitrate;
+        if (audioBitrate && spec.bitrate) {
+            command.push('-b:a', audioBitrate);
+        }
+        if (sampleRate) {
+            command.push('-ar', sampleRate.toString());
+        } else if (format === 'opus') {
+            command.push('-ar', '48000'); // 输入可能是libopus不支持的44.1kHz
+        }
+        if (channels) {
+            command.push('-ac', channels.toString());
+        }
+        if (format === 'm4a') {
+            command.push('-movflags', '+faststart');
+        }
+
+        command.push('-f', spec.muxer, output || `audio.${spec.extension}`);
+        return command;
+    }
+
+    /**
+     * 合并默认动图参数并检查格式和时间范围
+     * @param {object} options - { format, frameRate, width, start, end, loop, dither }
+     * @returns {object} 完整的动图参数，另带 spec —— 格式定义（见 ANIMATION_FORMATS）
+     * @throws {Error} 格式未知或参数无效时
+     */
+    static resolveAnimationOptions(options = {}) {
+        const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value != null));
+        const settings = { ...DEFAULT_ANIMATION_OPTIONS, ...defined };
+
+        const spec = ANIMATION_FORMATS[settings.format];
+        if (!spec) {
+            throw new Error(`不支持的动图格式: ${settings.format}`);
+        }
+        if (!(settings.frameRate > 0) || !(settings.width > 0)) {
+            throw new Error(`无效的动图帧率或宽度: ${settings.frameRate}fps, ${settings.width}px`);
+        }
+        if (settings.start < 0 || (settings.end != null && !(settings.end > settings.start))) {
+            throw new Error(`无效的时间范围: ${settings.start} - ${settings.end}`);
+        }
+        if (!Number.isInteger(settings.loop) || settings.loop < 0) {
+            throw new Error(`无效的循环次数: ${settings.loop}`);
+        }
+
+        return { ...settings, spec };
+    }
+
+    /**
+     * 时间范围输入参数：在输入前定位到开始时间（快速），只读取所选范围（音频导出和动图使用）
+     * @param {{start: number, end: number|null}} range - 时间范围（秒），end为null表示到结尾
+     * @param {string} input - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static getRangeInputArgs({ start, end }, input) {
+        const args = [];
+        if (start > 0) args.push('-ss', start.toString());
+        if (end != null) args.push('-t', (end - start).toFixed(3));
+        args.push('-i', input);
+        return args;
+    }
+
+    /**
+     * 动图的帧率和缩放滤镜（高度按比例且为偶数）
+     * @param {object} settings - resolveAnimationOptions的结果
+     * @returns {string} 滤镜
+     */
+    static getAnimationScaleFilter({ frameRate, width }) {
+        return `fps=${frameRate},scale=${Math.floor(width / 2) * 2}:-2:flags=lanczos`;
+    }
+
+    /**
+     * 构建动图第一步命令：palettegen 为所选范围生成256色调色板
+     * @param {object} options - 动图参数（见 DEFAULT_ANIMATION_OPTIONS）
+     * @param {{input: string}} files - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildPaletteCommand(options = {}, { input = 'input.webm' } = {}) {
+        const settings = this.resolveAnimationOptions(options);
+        return [
+            ...this.getRangeInputArgs(settings, input),
+            '-vf', `${this.getAnimationScaleFilter(settings)},palettegen=stats_mode=diff`,
+            '-y', PALETTE_FILE
+        ];
+    }
+
+    /**
+     * 构建动图第二步命令：paletteuse 按调色板量化后编码为GIF或动态WebP
+     * GIF的 -loop 表示额外重复次数（-1不循环），WebP表示播放次数，这里统一换算
+     * @param {object} options - 动图参数（见 DEFAULT_ANIMATION_OPTIONS）
+     * @param {{input: string, output: string}} files - 输入文件名；输出文件名默认为 output.<扩展名>
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildAnimationCommand(options = {}, { input = 'input.webm', output = null } = {}) {
+        const settings = this.resolveAnimationOptions(options);
+        const { format, loop, dither, spec } = settings;
+
+        const command = [
+            ...this.getRangeInputArgs(settings, input),
+            '-i', PALETTE_FILE,
+            '-lavfi', `${this.getAnimationScaleFilter(settings)}[frames];[frames][1:v]paletteuse=dither=${dither}:diff_mode=rectangle`,
+            '-an',
+            '-c:v', spec.codec
+        ];
+
+        if (format === 'gif') {
+            command.push('-loop', (loop === 0 ? 0 : loop === 1 ? -1 : loop - 1).toString());
+        } else {
+            // 调色板量化后的帧用无损WebP编码，画面与GIF一致且体积更小
+            command.push('-lossless', '1', '-loop', loop.toString());
+        }
+
+        command.push('-f', spec.muxer, output || `output.${spec.extension}`);
+        return command;
+    }
+
+    /**
+     * 构建静音检测命令（只解码音频，结果见 MediaProbe.parseSilences）
+     * @param {string} inputFile - 输入文件名
+     * @param {object} settings - { noiseLevel: 静音音量（dB）, minSilence: 最短静音（秒） }，见 DEFAULT_SILENCE_OPTIONS
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildSilenceDetectCommand(inputFile, settings = {}) {
+        const { noiseLevel, minSilence } = { ...DEFAULT_SILENCE_OPTIONS, ...settings };
+        return [
+            '-hide_banner',
+            '-i', inputFile,
+            '-map', '0:a:0',
+            '-af', `silencedetect=noise=${noiseLevel}dB:d=${minSilence}`,
+            '-f', 'null',
+            '-'
+        ];
+    }
+
+    /**
+     * 构建演讲分析命令：一遍解码音频，依次用 silencedetect 找停顿、astats 统计电平、ebur128 测量响度
+     * （结果见 MediaProbe.parseSilences / parseAstatsOverall / parseEbur128Summary；ebur128的逐帧日志降为verbose级别）
+     * @param {string} inputFile - 输入文件名
+     * @param {object} settings - { noiseLevel, minSilence }，见 DEFAULT_SILENCE_OPTIONS
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildSpeechAnalysisCommand(inputFile, settings = {}) {
+        const { noiseLevel, minSilence } = { ...DEFAULT_SILENCE_OPTIONS, ...settings };
+        return [
+            '-hide_banner',
+            '-i', inputFile,
+            '-map', '0:a:0',
+            '-af', `silencedetect=noise=${noiseLevel}dB:d=${minSilence},astats,ebur128=peak=true:framelog=verbose`,
+            '-f', 'null',
+            '-'
+        ];
+    }
+
+    /**
+     * 构建响度测量命令（只解码音频，loudnorm需设置 print_format=json，结果见 MediaProbe.parseLoudnormStats）
+     * @param {string} inputFile - 输入文件名
+     * @param {string} audioFilter - 以loudnorm结尾的滤镜字符串（见 AudioEnhancer.getLoudnormFilter）
+     * @param {{ranges: object[]}|null} trimFilter - 重编码裁剪的区间（见 applyTrimFilter），
+     *   设置时只测量保留区间拼接后的音频，与编码时loudnorm处理的信号一致
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildLoudnessMeasureCommand(inputFile, audioFilter, trimFilter = null) {
+        if (trimFilter) {
+            return [
+                '-hide_banner',
+                '-i', inputFile,
+                '-filter_complex', this.buildTrimFilterGraph(trimFilter.ranges, { hasVideo: false, audioFilter }),
+                '-map', '[aout]',
+                '-f', 'null',
+                '-'
+            ];
+        }
+        return [
+            '-hide_banner',
+            '-i', inputFile,
+            '-map', '0:a:0',
+            '-af', audioFilter,
+            '-f', 'null',
+            '-'
+        ];
+    }
+
+    /**
+     * 构建场景检测命令：只保留场景变化的帧，由showinfo输出它们的时间（见 MediaProbe.parseShowinfoTimes）
+     * @param {string} inputFile - 输入文件名
+     * @param {number} threshold - 场景变化阈值
+     * @returns {string[]} FFmpeg参数
+     */
+    static buildSceneDetectCommand(inputFile, threshold = 0.1) {
+        return [
+            '-hide_banner',
+            '-i', inputFile,
+            '-map', '0:v:0',
+            '-vf', `select=gt(scene\\,${threshold}),showinfo`,
+            '-fps_mode', 'vfr',
+            '-f', 'null',
+            '-'
+        ];
+    }
+}
+
+export default FFmpegCommandBuilder;
@@ -5,25 +5,43 @@
  */
 
 import PathResolver from './path-resolver.js';
+import MediaProbe from './ffmpeg-media-probe.js';
+import FFmpegTasks from './ffmpeg-tasks.js';
+import FFmpegCommandBuilder, { QUALITY_PROFILES } from './ffmpeg-command-builder.js';
+import ConversionCancelledError, { ConversionStalledError } from './ffmpeg-errors.js';
+import { RequestType, ReplyType } from './ffmpeg-worker-protocol.js';
+import FFmpegJobQueue, { JobType } from './ffmpeg-job-queue.js';
+import FFmpegWorkerPool from './ffmpeg-worker-pool.js';
+import FFmpegSegmentedConversion from './ffmpeg-segmented-conversion.js';
+import SilenceAnalyzer from './ffmpeg-silence-analyzer.js';
+import FFmpegStallWatchdog, { DEFAULT_STALL_TIMEOUT } from './ffmpeg-stall-watchdog.js';
 
 class OptimizedFFmpegConverter {
-    constructor(useWorker = true) {
+    /**
+     * @param {boolean} useWorker - 是否使用Web Worker
+     * @param {object} poolOptions - Worker池配置（maxWorkers、memoryBudgetMB、idleTimeout等，见 DEFAULT_POOL_OPTIONS）
+     */
+    constructor(useWorker = true, poolOptions = {}) {
         this.useWorker = useWorker;
-        this.worker = null;
+        this.poolOptions = poolOptions;
+        this.pool = null;            // Worker模式的Worker池
         this.ffmpeg = null;
+        this.tasks = null;           // 直接模式的任务执行器（与Worker共用流程）
         this.isLoaded = false;
         this.onProgress = null;
         this.onLog = null;
         this.conversionPromise = null;
-        this.memoryPool = new Map(); // 内存池用于重用ArrayBuffer
-        this.maxPoolSize = 5;        // 最大缓存数量
-        this.isCancelled = false;    // 取消标志
-        this.currentReject = null;   // 当前Promise的reject函数
+        this.isCancelled = false;    // 取消标志（直接模式）
+        this.operations = new Set(); // 进行中的操作：{ reject, onProgress, client, cancelled, watchdog }
+        this.restartPromise = null;  // 取消后重新初始化的Promise
+        this.profiles = new Map(Object.entries(QUALITY_PROFILES)); // 质量档位（内置 + 自定义）
+        this.queue = new FFmpegJobQueue(this); // 后台任务队列
     }
 
     // 初始化转换器
     async init() {
         if (this.isLoaded) return;
+        if (this.restartPromise) return this.restartPromise; // 取消后正在重新初始化
 
         if (this.useWorker && typeof Worker !== 'undefined') {
             return this.initWorker();
@@ -35,48 +53,30 @@ class OptimizedFFmpegConverter {
     // 初始化Web Worker模式
     async initWorker() {
         try {
-            if (this.onLog) this.onLog('正在初始化 FFmpeg Worker...');
-            
-            this.worker = new Worker('./modules/ffmpeg-worker.js', { type: 'module' });
-            
-            return new Promise((resolve, reject) => {
-                this.worker.onmessage = (e) => {
-                    const { type, message, success } = e.data;
-                    
-                    switch (type) {
-                        case 'initialized':
-                            if (success) {
-                                this.isLoaded = true;
-                                if (this.onLog) this.onLog('✅ FFmpeg Worker 初始化完成！');
-                                resolve();
-                            } else {
-                                reject(new Error('Worker 初始化失败'));
-                            }
-                            break;
-                            
-                        case 'log':
-                            if (this.onLog) this.onLog(message);
-                            break;
-                            
-                        case 'error':
-                            reject(new Error(message));
-                            break;
-                    }
-                };
-                
-                this.worker.onerror = (error) => {
-                    reject(new Error(`Worker 错误: ${error.message}`));
-                };
-                
-                // 发送初始化命令
-                this.worker.postMessage({ type: 'init' });
+            if (this.onLog) this.onLog('正在初始化 FFmpeg Worker 池...');
+
+            this.pool = new FFmpegWorkerPool({
+                ...this.poolOptions,
+                log: (message) => {
+                    if (this.onLog) this.onLog(message);
+                }
             });
+
+            // 预先加载一个Worker，确认FFmpeg核心可用；其余Worker在并行任务需要时再创建
+            await this.pool.warmUp();
             
         } catch (error) {
+            if (this.pool) {
+                this.pool.destroy();
+                this.pool = null;
+            }
             if (this.onLog) this.onLog(`Worker 初始化失败，切换到直接模式: ${error.message}`);
             this.useWorker = false;
             return this.initDirect();
         }
+
+        this.isLoaded = true;
+        if (this.onLog) this.onLog(`✅ FFmpeg Worker 池初始化完成！（最多 ${this.pool.size} 个并行 Worker）`);
     }
 
     // 初始化直接模式
@@ -98,10 +98,10 @@ class OptimizedFFmpegConverter {
 
             this.ffmpeg.on('progress', ({ progress, time }) => {
                 const percent = Math.round(progress * 100);
-                if (this.onProgress) {
-                    const timeInSeconds = time > 1000000 ? (time / 1000000).toFixed(2) : time.toFixed(2);
-                    this.onProgress(percent, timeInSeconds);
-                }
+                const timeInSeconds = time > 1000000 ? (time / 1000000).toFixed(2) : time.toFixed(2);
+                // 直接模式同一时间只有一个操作
+                const [operation = null] = this.operations;
+                this.emitProgress(operation, percent, timeInSeconds, Boolean(this.tasks && this.tasks.analyzing));
             });
 
             // 加载FFmpeg核心 - 使用最简化路径
@@ -116,6 +116,13 @@ class OptimizedFFmpegConverter {
             
             await this.ffmpeg.load(loadConfig);
 
+            this.tasks = new FFmpegTasks(this.ffmpeg, {
+                log: (message) => {
+                    if (this.onLog) this.onLog(message);
+                },
+                isCancelled: () => this.isCancelled
+            });
+
             this.isLoaded = true;
             if (this.onLog) this.onLog('✅ FFmpeg 直接模式初始化完成！');
 
@@ -125,210 +132,560 @@ class OptimizedFFmpegConverter {
         }
     }
 
-    // 智能参数选择器
-    getOptimalSettings(fileSize, duration = 5) {
-        const fileSizeMB = fileSize / (1024 * 1024);
-        
-        // 根据文件大小和时长智能选择参数 - 极速模式
-        if (fileSizeMB < 1) {
-            // 小文件：极速模式
-            return {
-                preset: 'ultrafast',
-                crf: 38,                // 极低质量，极高速度
-                audioBitrate: '24k',    // 极低音频比特率
-                fastMode: true,
-                priority: 'speed'
-            };
-        } else if (fileSizeMB < 5) {
-            // 中等文件：高速模式
-            return {
-                preset: 'ultrafast',
-                crf: 35,
-                audioBitrate: '32k',
-                fastMode: true,
-                priority: 'speed'
-            };
-        } else {
-            // 大文件：快速模式
-            return {
-                preset: 'ultrafast',
-                crf: 32,
-                audioBitrate: '48k',
-                fastMode: true,
-                priority: 'speed'
-            };
+    // 等待取消后的重新初始化完成，并确认转换器可用
+    async ensureReady() {
+        if (this.restartPromise) {
+            await this.restartPromise;
         }
-    }
-
-    // 转换WebM到MP4
-    async convertWebMToMP4(webmBlob, options = {}) {
         if (!this.isLoaded) {
             throw new Error('转换器未初始化，请先调用 init()');
         }
+    }
 
-        // 重置取消标志 - 新的转换开始时清除之前的取消状态
-        this.isCancelled = false;
-        this.currentReject = null;
+    /**
+     * 执行可取消的任务
+     * Worker模式下由Worker池调度，多个任务并行执行；直接模式只有一个FFmpeg实例，任务按调用顺序逐个执行。
+     * cancelConversion() 或 signal 中止时，返回的Promise以 ConversionCancelledError 拒绝
+     * @param {Function} task - 接收操作对象、返回Promise的任务函数
+     * @param {object} [control] - { signal: 可选的AbortSignal, onProgress: 只接收本任务进度的回调（代替全局onProgress），
+     *   background: 后台操作（探测、分析、切分、拼接），没有onProgress时也不通知全局onProgress }
+     * @returns {Promise<*>} 任务结果
+     */
+    async runCancellable(task, { signal = null, onProgress = null, background = false } = {}) {
+        if (!this.pool) {
+            while (this.conversionPromise && !(signal && signal.aborted)) {
+                if (this.onLog) this.onLog('等待上一个任务完成...');
+                await Promise.race([this.conversionPromise.catch(() => {}), this.waitForAbort(signal)]);
+            }
+        }
+        if (signal && signal.aborted) {
+            throw new ConversionCancelledError();
+        }
 
-        // 防止并发转换
-        if (this.conversionPromise) {
-            if (this.onLog) this.onLog('等待上一个转换任务完成...');
-            await this.conversionPromise;
+        // 新任务开始时清除之前的取消状态
+        if (!this.pool) this.isCancelled = false;
+
+        const operation = { reject: null, onProgress, background, client: null, cancelled: false, watchdog: null };
+        const promise = new Promise((resolve, reject) => {
+            operation.reject = reject;
+            this.operations.add(operation);
+
+            const onAbort = () => this.cancelOperation(operation);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            // 上一个任务被取消时转换器可能正在重新初始化，先等待就绪
+            this.ensureReady()
+                .then(() => task(operation))
+                .then(resolve, reject)
+                .finally(() => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    this.operations.delete(operation);
+                });
+        });
+
+        if (this.pool) {
+            return promise;
         }
 
-        // 智能参数选择 - 强制重编码以确保兼容性
-        if (!options.preset && !options.crf) {
-            const optimalSettings = this.getOptimalSettings(webmBlob.size);
-            options = { ...optimalSettings, ...options, fastMode: false }; // 强制关闭快速复制
-            if (this.onLog) {
-                this.onLog(`智能选择参数: ${optimalSettings.priority}模式 (preset=${optimalSettings.preset}, crf=${optimalSettings.crf}) - 强制重编码以确保兼容性`);
+        this.conversionPromise = promise;
+        try {
+            return await promise;
+        } finally {
+            if (this.conversionPromise === promise) {
+                this.conversionPromise = null;
             }
         }
+    }
 
-        if (this.useWorker && this.worker) {
-            this.conversionPromise = this.convertWithWorker(webmBlob, options);
-        } else {
-            this.conversionPromise = this.convertDirect(webmBlob, options);
+    // 返回在signal中止时完成的Promise（没有signal时永不完成）
+    waitForAbort(signal) {
+        return new Promise((resolve) => {
+            if (!signal) return;
+            if (signal.aborted) {
+                resolve();
+            } else {
+                signal.addEventListener('abort', () => resolve(), { once: true });
+            }
+        });
+    }
+
+    // 分发进度：操作指定了自己的进度回调时只通知该回调；全局onProgress（界面的转换进度）只接收前台操作的进度
+    // 探测、扫描等分析命令的进度（analyzing）不是编码进度，只用于卡死检测
+    emitProgress(operation, percent, time, analyzing = false) {
+        if (operation && operation.watchdog) operation.watchdog.touch();
+        if (analyzing) return;
+        if (operation && operation.onProgress) {
+            operation.onProgress(percent, time);
+        } else if (!(operation && operation.background) && this.onProgress) {
+            this.onProgress(percent, time);
         }
+    }
 
-        const result = await this.conversionPromise;
-        this.conversionPromise = null;
-        return result;
+    // 在Worker池中执行操作，记录所用Worker以便取消时终止
+    runOnPool(operation, type, data, doneType) {
+        return this.pool.run(type, data, doneType, {
+            onProgress: (percent, time, analyzing) => this.emitProgress(operation, percent, time, analyzing),
+            onStart: (client) => {
+                operation.client = client;
+                if (operation.watchdog) operation.watchdog.start();
+            },
+            isCancelled: () => operation.cancelled
+        });
     }
 
-    // 使用Worker转换 - GitHub Pages兼容版本
-    async convertWithWorker(webmBlob, options) {
-        return new Promise(async (resolve, reject) => {
-            const startTime = Date.now();
-            
-            // 保存reject函数以便取消时使用
-            this.currentReject = reject;
-            this.isCancelled = false;
-            
-            // 检查是否已被取消
-            if (this.isCancelled) {
-                reject(new Error('转换已被取消'));
-                return;
+    /**
+     * 可同时执行的任务数（Worker池大小；直接模式为1）
+     * @returns {number}
+     */
+    getParallelism() {
+        return this.pool ? this.pool.size : 1;
+    }
+
+    /**
+     * 注册自定义质量档位（同名档位会被覆盖）
+     * @param {string} name - 档位名称
+     * @param {object} settings - 编码参数（preset、crf、audioBitrate、audioChannels、audioSampleRate等），可带label
+     */
+    registerProfile(name, settings) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('质量档位名称必须是非空字符串');
+        }
+        if (!settings || typeof settings !== 'object') {
+            throw new Error(`质量档位 ${name} 的参数必须是对象`);
+        }
+        if (settings.crf !== undefined && !(settings.crf >= 0 && settings.crf <= 51)) {
+            throw new Error(`质量档位 ${name} 的crf必须在0-51之间`);
+        }
+
+        this.profiles.set(name, { label: name, ...settings });
+        if (this.onLog) this.onLog(`📝 已注册质量档位: ${name}`);
+    }
+
+    /**
+     * 获取质量档位
+     * @param {string} name - 档位名称
+     * @returns {object|null} 档位参数
+     */
+    getProfile(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * 列出所有质量档位
+     * @returns {Array<{name: string, label: string}>} 档位列表
+     */
+    getProfiles() {
+        return Array.from(this.profiles.entries()).map(([name, profile]) => ({
+            name,
+            label: profile.label
+        }));
+    }
+
+    /**
+     * 智能参数选择：按输入码率在质量档位中选择
+     * 高码率输入（高分辨率）编码慢，使用极速档位；其余使用均衡档位
+     * @param {number} fileSize - 输入文件大小（字节）
+     * @param {number} duration - 时长（秒），未知时按5秒录制估算
+     * @returns {object} 档位参数，priority为所选档位名称
+     */
+    getOptimalSettings(fileSize, duration = 5) {
+        const effectiveDuration = duration > 0 ? duration : 5;
+        const bitrate = fileSize * 8 / effectiveDuration;
+        const name = bitrate > 8000000 ? 'speed' : 'balanced';
+
+        const { label, ...settings } = this.getProfile(name);
+        return { ...settings, label, fastMode: true, priority: name };
+    }
+
+    /**
+     * 转换WebM到MP4
+     * @param {Blob} webmBlob - 输入WebM文件
+     * @param {object} options - 转换选项（preset、crf、audioBitrate、fastMode，
+     *   profile —— 质量档位名称，见 getProfiles()，
+     *   targetSizeBytes / twoPass —— 按目标文件大小编码，
+     *   segmentDuration / maxSegmentRetries —— 分段转换，见 convertSegmented()，
+     *   trim —— 保留的区间 {start, end}（秒，end省略表示到结尾），cuts —— 要剪掉的区间 [{start, end}]；
+     *   各区间都从关键帧开始时流复制裁剪，否则重编码精确裁剪，
+     *   trimSilence —— 去掉首尾静音，maxPause —— 中间停顿超过此秒数时缩短到此长度，
+     *   以及静音检测参数 noiseLevel、minSilence、edgePadding（见 analyzeSilence()），
+     *   audioEnhance —— 音频增强 { highpass, denoise, loudnorm, limiter } 及各步骤参数（见 DEFAULT_AUDIO_ENHANCE_OPTIONS），
+     *   开启后音频总要重编码，loudnorm先测量再按测量值线性标准化，
+     *   fallbackRungs —— 限制编码回退阶梯可用的级别（默认全部，见 FALLBACK_RUNGS），
+     *   validateOutput —— 编码后校验输出（默认true），
+     *   以及可选的mediaInfo —— probe()的结果，用于按真实时长选择参数，
+     *   signal —— AbortSignal，中止时取消转换，
+     *   onProgress —— 只接收本次转换进度的回调，设置后不再通知全局onProgress）
+     * @returns {Promise<{blob: Blob, plan: {strategy: string, video: string, audio: string}, fallback?: object, targetSize?: object, segments?: object, validation?: object}>}
+     *   转换结果，plan记录实际使用的策略（remux / copy-video / copy-audio / transcode），
+     *   targetSize记录目标大小模式的码率和实际大小（targetBytes、actualBytes、withinTarget等），
+     *   segments记录分段转换的分段数和重试次数，
+     *   validation记录输出校验结果（validateOutput默认开启，见 OutputValidator.validate），
+     *   audioEnhance记录音频增强的处理链和处理前后的响度（filter、before、after），
+     *   fallback记录编码回退阶梯的结果（rung —— 成功的级别，attempts —— 每个失败级别的退出码和FFmpeg错误信息，
+     *   codecs —— 输出的视频/音频编码）；全部失败时抛出的错误带有同样结构的 error.fallback
+     * @throws {ConversionCancelledError} 被 cancelConversion() 或 signal 取消时
+     */
+    async convertWebMToMP4(webmBlob, options = {}) {
+        await this.ensureReady();
+
+        // AbortSignal和回调不能传给Worker，单独取出
+        const { signal, onProgress, ...conversionOptions } = options;
+        options = conversionOptions;
+
+        // 指定质量档位时使用档位参数（显式传入的参数优先）
+        if (options.profile) {
+            const profile = this.getProfile(options.profile);
+            if (!profile) {
+                throw new Error(`未知的质量档位: ${options.profile}`);
             }
-            
-            this.worker.onmessage = (e) => {
-                // 如果已被取消，忽略所有消息
-                if (this.isCancelled) {
-                    return;
-                }
-                
-                const { type, buffer, percent, time, message } = e.data;
-                
-                switch (type) {
-                    case 'progress':
-                        if (this.onProgress) this.onProgress(percent, time);
-                        break;
-                        
-                    case 'log':
-                        if (this.onLog) this.onLog(message);
-                        break;
-                        
-                    case 'completed':
-                        this.currentReject = null;
-                        const convertTime = ((Date.now() - startTime) / 1000).toFixed(2);
-                        const mp4Blob = new Blob([buffer], { type: 'video/mp4' });
-                        if (this.onLog) this.onLog(`✅ Worker转换完成！耗时 ${convertTime} 秒`);
-                        resolve(mp4Blob);
-                        break;
-                        
-                    case 'reset_complete':
-                        if (this.onLog) this.onLog('Worker状态重置完成');
-                        break;
-                        
-                    case 'error':
-                        this.currentReject = null;
-                        reject(new Error(message));
-                        break;
-                }
-            };
-            
-            try {
-                // 发送转换命令 - 不使用Transferable Objects以确保兼容性
-                const webmBuffer = await webmBlob.arrayBuffer();
-                
-                // 再次检查是否已被取消
-                if (this.isCancelled) {
-                    reject(new Error('转换已被取消'));
-                    return;
-                }
-                
-                this.worker.postMessage({
-                    type: 'convert',
-                    data: { webmBuffer, options }
-                });
-            } catch (error) {
-                this.currentReject = null;
-                reject(error);
+            const { label, ...profileSettings } = profile;
+            options = { ...profileSettings, ...options };
+            if (this.onLog) {
+                this.onLog(`使用质量档位: ${label} (preset=${options.preset}, crf=${options.crf}, 音频=${options.audioBitrate})`);
             }
-        });
+        } else if (!options.preset && !options.crf) {
+            // 智能参数选择 - 快速模式下能复制的流直接复制，其余重编码
+            const duration = options.mediaInfo ? options.mediaInfo.duration : undefined;
+            const { label, ...optimalSettings } = this.getOptimalSettings(webmBlob.size, duration);
+            options = { ...optimalSettings, ...options };
+            if (this.onLog) {
+                this.onLog(`智能选择参数: ${label}档位 (preset=${optimalSettings.preset}, crf=${optimalSettings.crf}, 快速复制=${options.fastMode !== false ? '开启' : '关闭'})`);
+            }
+        }
+
+        // 目标大小模式 - 按时长计算码率，不再使用crf
+        if (options.targetSizeBytes) {
+            if (!(options.targetSizeBytes > 0)) {
+                throw new Error(`无效的目标文件大小: ${options.targetSizeBytes}`);
+            }
+            if (this.onLog) {
+                this.onLog(`目标文件大小: ${(options.targetSizeBytes / 1024 / 1024).toFixed(1)} MB${options.twoPass ? '（两遍编码）' : ''}`);
+            }
+        }
+
+        // 分段模式 - 参数已确定，每段使用相同参数
+        if (options.segmentDuration) {
+            const { segmentDuration, maxSegmentRetries, ...encodeOptions } = options;
+            return this.convertSegmented(webmBlob, encodeOptions, {
+                segmentDuration,
+                maxRetries: maxSegmentRetries,
+                signal,
+                onProgress
+            });
+        }
+
+        return this.runCancellable((operation) => (
+            this.pool
+                ? this.convertWithWorker(webmBlob, options, operation)
+                : this.convertDirect(webmBlob, options)
+        ), { signal, onProgress });
+    }
+
+    // 使用Worker转换 - GitHub Pages兼容版本
+    // Blob按引用发送给Worker，由Worker挂载读取，主线程不读取整个文件
+    async convertWithWorker(webmBlob, options, operation) {
+        const startTime = Date.now();
+
+        const { buffer, report } = await this.runOnPool(
+            operation,
+            RequestType.CONVERT,
+            { input: webmBlob, options },
+            ReplyType.COMPLETED
+        );
+
+        const convertTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        const mp4Blob = new Blob([buffer], { type: 'video/mp4' });
+        if (this.onLog) this.onLog(`✅ Worker转换完成！耗时 ${convertTime} 秒`);
+        return { blob: mp4Blob, ...report };
     }
 
     // 直接转换
     async convertDirect(webmBlob, options) {
-        const {
-            preset = 'ultrafast',
-            crf = 28,
-            audioBitrate = '96k',
-            fastMode = true
-        } = options;
-
         try {
-            if (this.onLog) this.onLog('开始转换 WebM 到 MP4...');
-
-            // 写入输入文件
-            const inputData = new Uint8Array(await webmBlob.arrayBuffer());
-            await this.ffmpeg.writeFile('input.webm', inputData);
-
-            // 始终使用重编码模式以确保兼容性
-            if (this.onLog) this.onLog('使用重编码模式确保MP4兼容性...');
-            let command = ['-i', 'input.webm'].concat([
-                '-c:v', 'libx264',           // 强制使用H.264编码
-                '-preset', preset,
-                '-tune', 'zerolatency',
-                '-crf', crf.toString(),
-                '-pix_fmt', 'yuv420p',       // 确保像素格式兼容
-                '-profile:v', 'baseline',    // 使用baseline profile确保最大兼容性
-                '-level:v', '3.0',           // 设置H.264 level
-                '-c:a', 'aac',               // 强制使用AAC音频编码
-                '-b:a', audioBitrate,
-                '-ac', '2',                  // 双声道
-                '-ar', '44100',              // 标准采样率
-                '-movflags', '+faststart',   // 优化流媒体播放
-                '-threads', '0',             // 使用所有可用线程
-                '-f', 'mp4',                 // 确保MP4格式
-                'output.mp4'
-            ]);
-
-            await this.ffmpeg.exec(command);
-            if (this.onLog) this.onLog('H.264/AAC重编码完成');
-
-            const data = await this.ffmpeg.readFile('output.mp4');
+            const { data, ...report } = await this.tasks.convert(webmBlob, options);
             const mp4Blob = new Blob([data.buffer], { type: 'video/mp4' });
 
-            // 清理临时文件
-            await this.ffmpeg.deleteFile('input.webm');
-            await this.ffmpeg.deleteFile('output.mp4');
-
             if (this.onLog) this.onLog('✅ 直接模式转换完成！');
-            return mp4Blob;
+            return { blob: mp4Blob, ...report };
 
         } catch (error) {
-            if (this.onLog) this.onLog(`❌ 转换失败: ${error.message}`);
-            
-            if (options.fastMode !== false) {
-                if (this.onLog) this.onLog('快速模式失败，尝试标准重编码...');
-                return this.convertDirect(webmBlob, { ...options, fastMode: false });
-            }
-            
+            // 取消时FFmpeg实例被终止，这里的错误是预期的
+            if (this.onLog && !this.isCancelled) this.onLog(`❌ 转换失败: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * 分段转换：在关键帧处切成约segmentDuration秒的片段，各段单独编码（Worker模式下并行），
+     * 再流复制拼接成一个MP4；某段失败时只重试该段
+     * 各段必须使用相同的编码参数才能无重编码拼接，因此总是重编码，不支持快速复制和目标大小模式
+     * @param {Blob} webmBlob - 输入WebM文件
+     * @param {object} options - 每段的编码参数（同 convertWebMToMP4）
+     * @param {object} control - { segmentDuration: 每段秒数, maxRetries: 每段重试次数,
+     *   signal: AbortSignal, onProgress: 所有片段合计的进度回调 }
+     * @returns {Promise<{blob: Blob, plan: object, segments: object}>} 转换结果
+     * @throws {ConversionCancelledError} 被 cancelConversion() 或 signal 取消时
+     */
+    async convertSegmented(webmBlob, options = {}, { segmentDuration, maxRetries, signal = null, onProgress = null } = {}) {
+        if (!(segmentDuration > 0)) {
+            throw new Error(`无效的分段时长: ${segmentDuration}`);
+        }
+        if (options.targetSizeBytes) {
+            throw new Error('分段转换不支持目标文件大小模式');
+        }
+        if (options.trim || options.cuts || SilenceAnalyzer.hasSilenceTrim(options)) {
+            throw new Error('分段转换不支持裁剪');
+        }
+
+        // mediaInfo描述的是整个输入，不适用于单个片段
+        const { mediaInfo, ...encodeOptions } = options;
+        if (this.onLog) this.onLog(`🧩 分段转换：每段约 ${segmentDuration} 秒`);
+
+        const conversion = new FFmpegSegmentedConversion(this, {
+            segmentDuration,
+            ...(maxRetries != null ? { maxRetries } : {})
+        });
+        return conversion.run(webmBlob, { ...encodeOptions, fastMode: false, videoOnly: true }, { signal, onProgress });
+    }
+
+    /**
+     * 在关键帧处切分视频（流复制，不重编码）
+     * @param {Blob} blob - 输入视频
+     * @param {object} options - { segmentDuration: 每段秒数, signal: AbortSignal }
+     * @returns {Promise<{blob: Blob, start: number, end: number}[]>} 按顺序排列的片段
+     */
+    async splitIntoSegments(blob, { segmentDuration, signal = null } = {}) {
+        await this.ensureReady();
+
+        const segments = await this.runCancellable(async (operation) => {
+            if (this.pool) {
+                const reply = await this.runOnPool(operation, RequestType.SPLIT, { input: blob, segmentDuration }, ReplyType.SPLIT_COMPLETE);
+                return reply.segments.map(({ buffer, start, end }) => ({ data: buffer, start, end }));
+            }
+            return this.tasks.split(blob, segmentDuration);
+        }, { signal, background: true });
+
+        return segments.map(({ data, start, end }) => ({
+            blob: new Blob([data], { type: blob.type || 'video/webm' }),
+            start,
+            end
+        }));
+    }
+
+    /**
+     * 拼接MP4片段（concat分离器流复制视频，各片段编码参数必须相同）
+     * @param {Blob[]} blobs - 按顺序排列的MP4片段
+     * @param {object} options - { audioSource: 完整输入，片段只含视频时从中统一编码音频,
+     *   audioOptions: 音频编码参数（可带audioEnhance，对完整音频做音频增强）,
+     *   expectedDuration: 片段总时长（秒），用于校验输出；validateOutput: 是否校验；
+     *   expectedCodecs: 输出应有的 { video, audio } 编码；signal: AbortSignal }
+     * @returns {Promise<{blob: Blob, validation?: object}>} 拼接后的MP4及输出校验结果
+     */
+    async concatSegments(blobs, { signal = null, ...concatOptions } = {}) {
+        await this.ensureReady();
+
+        const { buffer, validation, audioEnhance } = await this.runCancellable(async (operation) => {
+            if (this.pool) {
+                return this.runOnPool(operation, RequestType.CONCAT, { inputs: blobs, options: concatOptions }, ReplyType.CONCAT_COMPLETE);
+            }
+            const result = await this.tasks.concat(blobs, concatOptions);
+            return { buffer: result.data.buffer, validation: result.validation, audioEnhance: result.audioEnhance };
+        }, { signal, background: true });
+
+        return { blob: new Blob([buffer], { type: 'video/mp4' }), validation, audioEnhance };
+    }
+
+    /**
+     * 导出音频：丢弃视频，把第一条音频流编码为M4A (AAC)、MP3、WAV或Opus
+     * @param {Blob} blob - 输入视频
+     * @param {object} options - { format: 'm4a' | 'mp3' | 'wav' | 'opus'（默认m4a），
+     *   sampleRate —— 采样率（Hz，默认保持输入；Opus默认48000），channels —— 声道数（默认保持输入），
+     *   bitrate —— 码率（如'128k'，WAV忽略），start/end —— 只导出这段时间（秒），signal —— AbortSignal，onProgress —— 只接收本次导出进度的回调 }
+     * @returns {Promise<{blob: Blob, format: string, extension: string, mimeType: string}>} 音频文件及格式信息
+     * @throws {ConversionCancelledError} 被 cancelConversion() 或 signal 取消时
+     */
+    async extractAudio(blob, options = {}) {
+        await this.ensureReady();
+
+        const { signal, onProgress, ...extractOptions } = options;
+        // 在主线程检查参数，无效时不占用Worker
+        const { spec } = FFmpegCommandBuilder.resolveAudioExtractOptions(extractOptions);
+        if (this.onLog) this.onLog(`🎵 导出音频: ${spec.label}`);
+
+        const startTime = Date.now();
+        const { buffer, ...format } = await this.runCancellable(async (operation) => {
+            if (this.pool) {
+                const { buffer: data, format: name, extension, mimeType } = await this.runOnPool(
+                    operation,
+                    RequestType.EXTRACT_AUDIO,
+                    { input: blob, options: extractOptions },
+                    ReplyType.EXTRACT_AUDIO_COMPLETE
+                );
+                return { buffer: data, format: name, extension, mimeType };
+            }
+            const { data, ...result } = await this.tasks.extractAudio(blob, extractOptions);
+            return { buffer: data.buffer, ...result };
+        }, { signal, onProgress });
+
+        const exportTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        if (this.onLog) this.onLog(`✅ 音频导出完成！耗时 ${exportTime} 秒`);
+        return { blob: new Blob([buffer], { type: format.mimeType }), ...format };
+    }
+
+    /**
+     * 生成动图：两步调色板流程（palettegen → paletteuse），适合不能自动播放MP4的聊天工具和文档
+     * @param {Blob} blob - 输入视频
+     * @param {object} options - { format: 'gif' | 'webp'（默认gif），frameRate —— 帧率（默认10），
+     *   width —— 宽度（默认480，高度按比例），start/end —— 时间范围（秒，end默认到结尾），
+     *   loop —— 播放次数（0表示无限循环），dither —— paletteuse抖动算法，
+     *   signal —— AbortSignal，onProgress —— 只接收本次生成进度的回调 }
+     * @returns {Promise<{blob: Blob, format: string, extension: string, mimeType: string}>} 动图文件及格式信息
+     * @throws {ConversionCancelledError} 被 cancelConversion() 或 signal 取消时
+     */
+    async createAnimation(blob, options = {}) {
+        await this.ensureReady();
+
+        const { signal, onProgress, ...animationOptions } = options;
+        // 在主线程检查参数，无效时不占用Worker
+        const { spec } = FFmpegCommandBuilder.resolveAnimationOptions(animationOptions);
+        if (this.onLog) this.onLog(`🎞️ 生成动图: ${spec.label}`);
+
+        const startTime = Date.now();
+        const { buffer, ...format } = await this.runCancellable(async (operation) => {
+            if (this.pool) {
+                const { buffer: data, format: name, extension, mimeType } = await this.runOnPool(
+                    operation,
+                    RequestType.ANIMATE,
+                    { input: blob, options: animationOptions },
+                    ReplyType.ANIMATION_COMPLETE
+                );
+                return { buffer: data, format: name, extension, mimeType };
+            }
+            const { data, ...result } = await this.tasks.createAnimation(blob, animationOptions);
+            return { buffer: data.buffer, ...result };
+        }, { signal, onProgress });
+
+        const animationTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        if (this.onLog) this.onLog(`✅ 动图生成完成！耗时 ${animationTime} 秒`);
+        return { blob: new Blob([buffer], { type: format.mimeType }), ...format };
+    }
+
+    /**
+     * 探测媒体信息（容器、时长、各流编码/分辨率/帧率/采样率/声道/码率）
+     * @param {Blob} blob - 媒体文件
+     * @returns {Promise<object>} 媒体信息，结构见 MediaProbe.parseMediaInfo
+     */
+    async probe(blob) {
+        await this.ensureReady();
+
+        const mediaInfo = await this.runCancellable((operation) => (
+            this.pool
+                ? this.probeWithWorker(blob, operation)
+                : this.probeDirect(blob)
+        ), { background: true });
+
+        const video = MediaProbe.getStream(mediaInfo, 'video');
+        const audio = MediaProbe.getStream(mediaInfo, 'audio');
+        if (this.onLog) {
+            const durationText = mediaInfo.duration > 0 ? `${mediaInfo.duration.toFixed(2)}秒` : '未知';
+            this.onLog(`📊 媒体信息: 时长=${durationText}, 视频=${video ? `${video.codec} ${video.width}x${video.height}` : '无'}, 音频=${audio ? `${audio.codec} ${audio.sampleRate}Hz` : '无'}`);
+        }
+
+        return mediaInfo;
+    }
+
+    /**
+     * 静音分析：用silencedetect找出开头静音、结尾静音和超过阈值的中间停顿
+     * @param {Blob} blob - 输入视频或音频
+     * @param {object} options - { noiseLevel —— 静音音量（dB，默认-30），minSilence —— 最短静音（秒，默认0.5），
+     *   pauseThreshold —— 停顿阈值（秒，默认1），signal —— AbortSignal }，见 DEFAULT_SILENCE_OPTIONS
+     * @returns {Promise<object>} { duration, silences, leading, trailing, pauses, silentOnly }，见 SilenceAnalyzer.analyze
+     * @throws {Error} 输入没有音频流时
+     */
+    async analyzeSilence(blob, options = {}) {
+        await this.ensureReady();
+
+        const { signal, ...analysisOptions } = options;
+        const analysis = await this.runCancellable(async (operation) => {
+            if (this.pool) {
+                const reply = await this.runOnPool(
+                    operation,
+                    RequestType.ANALYZE_SILENCE,
+                    { input: blob, options: analysisOptions },
+                    ReplyType.SILENCE_ANALYSIS_COMPLETE
+                );
+                return reply.analysis;
+            }
+            return this.tasks.analyzeSilence(blob, analysisOptions);
+        }, { signal, background: true });
+
+        if (this.onLog) this.onLog(`🔇 静音分析完成: 停顿 ${analysis.pauses.length} 处`);
+        return analysis;
+    }
+
+    /**
+     * 演讲分析：一遍扫描音频（silencedetect、astats、ebur128），统计说话和停顿时间、长停顿、响度和时长是否达标
+     * @param {Blob} blob - 输入视频或音频
+     * @param {object} options - 静音检测参数（见 analyzeSilence()），{ targetDuration —— 目标时长（秒，默认60），
+     *   durationTolerance —— 允许偏差（秒，默认10），longPause —— 长停顿阈值（秒，默认2），signal —— AbortSignal }，
+     *   见 DEFAULT_SPEECH_REPORT_OPTIONS
+     * @returns {Promise<{analysis: object, report: object}>} 静音分析（同 analyzeSilence()）和演讲报告（见 SpeechReport.build）
+     * @throws {Error} 输入没有音频流时
+     */
+    async analyzeSpeech(blob, options = {}) {
+        await this.ensureReady();
+
+        const { signal, ...analysisOptions } = options;
+        const result = await this.runCancellable(async (operation) => {
+            if (this.pool) {
+                const reply = await this.runOnPool(
+                    operation,
+                    RequestType.ANALYZE_SPEECH,
+                    { input: blob, options: analysisOptions },
+                    ReplyType.SPEECH_ANALYSIS_COMPLETE
+                );
+                return { analysis: reply.analysis, report: reply.report };
+            }
+            return this.tasks.analyzeSpeech(blob, analysisOptions);
+        }, { signal, background: true });
+
+        if (this.onLog) this.onLog(`🎤 演讲分析完成: 长停顿 ${result.report.pauses.longCount} 处`);
+        return result;
+    }
+
+    // Worker模式探测
+    async probeWithWorker(blob, operation) {
+        const { mediaInfo } = await this.runOnPool(operation, RequestType.PROBE, { input: blob }, ReplyType.PROBE_COMPLETE);
+        return mediaInfo;
+    }
+
+    // 直接模式探测
+    async probeDirect(blob) {
+        return this.tasks.probe(blob);
+    }
+
+    /**
+     * 把转换加入后台队列
+     * @param {Blob} webmBlob - 输入WebM文件
+     * @param {object} options - 同 convertWebMToMP4（signal和onProgress由队列管理）
+     * @param {object} meta - { label: 显示名称, duration: 视频时长（秒） }
+     * @returns {object} 任务快照，状态变化通过 queue.onJobUpdate 通知
+     */
+    enqueueConversion(webmBlob, options = {}, meta = {}) {
+        return this.queue.enqueue(JobType.CONVERT, webmBlob, options, meta);
+    }
+
+    /**
+     * 把背景合成加入后台队列
+     * @param {Blob} videoBlob - 输入视频
+     * @param {object} options - 同 compositeVideoWithBackground（signal和onProgress由队列管理）
+     * @param {object} meta - { label: 显示名称, duration: 视频时长（秒） }
+     * @returns {object} 任务快照
+     */
+    enqueueComposite(videoBlob, options = {}, meta = {}) {
+        return this.queue.enqueue(JobType.COMPOSITE, videoBlob, options, meta);
+    }
+
     // 设置进度回调
     setProgressCallback(callback) {
         this.onProgress = callback;
@@ -349,320 +706,192 @@ class OptimizedFFmpegConverter {
         return {
             isLoaded: this.isLoaded,
             useWorker: this.useWorker,
-            hasWorker: !!this.worker,
-            hasFFmpeg: !!this.ffmpeg
+            hasWorker: !!this.pool,
+            hasFFmpeg: !!this.ffmpeg,
+            parallelism: this.getParallelism(),
+            pool: this.pool ? this.pool.getStats() : null
         };
     }
 
-    // 合成视频与背景图片
+    /**
+     * 合成视频与背景图片
+     * @param {Blob} videoBlob - 输入视频
+     * @param {object} options - 合成选项（background —— 背景图片Blob（PNG/JPEG/WebP），
+     *   slides —— 按时间切换的多张背景 [{ image: 图片Blob, start: 录制中的开始时间（秒） }]（设置后忽略background，见 SlideTimeline），
+     *   videoScale、overlayPosition、outputSize，overlayStyle —— 摄像头画面的形状、边框、投影和镜像（见 DEFAULT_OVERLAY_STYLE），
+     *   autoTrimStart / autoTrimEnd —— 按场景变化自动裁剪开头空白（默认开启）和静止的结尾（默认关闭），
+     *   sceneThreshold、autoTrimMin、autoTrimMax、autoTrimMargin —— 场景变化阈值和裁剪窗口（秒），见 DEFAULT_AUTO_TRIM_OPTIONS，
+     *   trim / cuts —— 保留和剪掉的区间（同 convertWebMToMP4，合成总是重编码裁剪），
+     *   trimSilence / maxPause —— 静音裁剪（同 convertWebMToMP4），audioEnhance —— 音频增强（同 convertWebMToMP4），
+     *   validateOutput —— 是否校验输出（默认true），
+     *   stallTimeout —— 超过这么多秒没有进度时判定FFmpeg卡住并终止（默认60，0表示不检测），
+     *   signal —— AbortSignal，中止时取消合成，onProgress —— 只接收本次合成进度的回调）
+     * @returns {Promise<{blob: Blob, validation?: object, audioEnhance?: object, shortened?: object}>}
+     *   合成后的MP4、输出校验结果（见 OutputValidator.validate）、音频增强报告，
+     *   输出比输入短时 shortened 为 { expectedDuration, outputDuration, missing, message }
+     * @throws {ConversionCancelledError} 被 cancelConversion() 或 signal 取消时
+     * @throws {ConversionStalledError} FFmpeg超过 stallTimeout 秒没有进度时
+     * @throws {Error} FFmpeg以非零退出码结束时
+     */
     async compositeVideoWithBackground(videoBlob, options) {
-        if (!this.isLoaded) {
-            throw new Error('转换器未初始化，请先调用 init()');
-        }
+        await this.ensureReady();
 
-        // 重置取消标志 - 新的合成开始时清除之前的取消状态
-        this.isCancelled = false;
-        this.currentReject = null;
-
-        const { pptBackground, videoScale, overlayPosition, outputSize } = options;
+        // AbortSignal和回调不能传给Worker，单独取出
+        const { signal, onProgress, stallTimeout = DEFAULT_STALL_TIMEOUT, ...compositeOptions } = options;
 
         try {
-            if (this.onLog) this.onLog('🎬 开始视频背景合成...');
-
-            if (this.useWorker && this.worker) {
-                return await this.compositeWithWorker(videoBlob, options);
-            } else {
-                return await this.compositeDirect(videoBlob, options);
-            }
+            return await this.runCancellable(async (operation) => {
+                if (this.onLog) this.onLog('🎬 开始视频背景合成...');
+                // 输出时长跟随输入，不再用固定上限防止卡死：改为检测进度是否停止
+                operation.watchdog = new FFmpegStallWatchdog(stallTimeout, (seconds) => this.abortStalled(operation, seconds));
+                try {
+                    if (this.pool) {
+                        return await this.compositeWithWorker(videoBlob, compositeOptions, operation);
+                    }
+                    operation.watchdog.start();
+                    return await this.compositeDirect(videoBlob, compositeOptions);
+                } finally {
+                    operation.watchdog.stop();
+                }
+            }, { signal, onProgress });
         } catch (error) {
-            if (this.onLog) this.onLog(`❌ 背景合成失败: ${error.message}`);
+            if (this.onLog) {
+                this.onLog(ConversionCancelledError.isCancellation(error)
+                    ? '🛑 背景合成已取消'
+                    : `❌ 背景合成失败: ${error.message}`);
+            }
             throw error;
         }
     }
 
     // Worker模式合成
-    async compositeWithWorker(videoBlob, options) {
-        return new Promise(async (resolve, reject) => {
-            const startTime = Date.now();
-            
-            this.worker.onmessage = (e) => {
-                const { type, message, buffer } = e.data;
-                
-                switch (type) {
-                    case 'log':
-                        if (this.onLog) this.onLog(`[FFmpeg Worker] ${message}`);
-                        break;
-                        
-                    case 'progress':
-                        // 合成进度处理
-                        if (this.onProgress) {
-                            this.onProgress(e.data.percent, e.data.time);
-                        }
-                        break;
-                        
-                    case 'composite_complete':
-                        const convertTime = ((Date.now() - startTime) / 1000).toFixed(2);
-                        const mp4Blob = new Blob([buffer], { type: 'video/mp4' });
-                        if (this.onLog) this.onLog(`✅ Worker合成完成！耗时 ${convertTime} 秒`);
-                        resolve(mp4Blob);
-                        break;
-                        
-                    case 'error':
-                        reject(new Error(message));
-                        break;
-                }
-            };
-            
-            // 发送合成命令
-            const videoBuffer = await videoBlob.arrayBuffer();
-            this.worker.postMessage({
-                type: 'composite',
-                data: { videoBuffer, options }
-            });
-        });
+    async compositeWithWorker(videoBlob, options, operation) {
+        const startTime = Date.now();
+
+        const { buffer, validation, audioEnhance, shortened } = await this.runOnPool(
+            operation,
+            RequestType.COMPOSITE,
+            { input: videoBlob, options },
+            ReplyType.COMPOSITE_COMPLETE
+        );
+
+        const convertTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        const mp4Blob = new Blob([buffer], { type: 'video/mp4' });
+        if (this.onLog) this.onLog(`✅ Worker合成完成！耗时 ${convertTime} 秒`);
+        return { blob: mp4Blob, validation, audioEnhance, shortened };
     }
 
     // 直接模式合成
     async compositeDirect(videoBlob, options) {
-        const { pptBackground, videoScale, overlayPosition, outputSize, autoTrimStart = true } = options;
+        if (this.onLog) this.onLog('📹 直接模式背景合成...');
 
-        try {
-            if (this.onLog) this.onLog('📹 直接模式背景合成...');
-
-            // 写入视频文件
-            const videoData = new Uint8Array(await videoBlob.arrayBuffer());
-            await this.ffmpeg.writeFile('input_video.webm', videoData);
-            if (this.onLog) this.onLog(`📹 输入视频大小: ${videoData.length} bytes`);
-
-            // 检测视频开始时间（可选）
-            let startTime = 0;
-            if (autoTrimStart) {
-                if (this.onLog) this.onLog('🔍 [视频检测] 开始检测视频实际开始时间...');
-                startTime = await this.detectVideoStart('input_video.webm');
-                if (startTime > 0) {
-                    if (this.onLog) this.onLog(`✂️ [视频检测] 检测到视频实际开始时间: ${startTime.toFixed(2)}秒，将自动裁剪`);
-                    if (this.onLog) this.onLog(`📐 [视频检测] 裁剪设置: 从${startTime.toFixed(2)}秒开始，跳过前面的静态部分`);
-                } else {
-                    if (this.onLog) this.onLog('📹 [视频检测] 视频从开头就有内容，无需裁剪');
-                }
-            } else {
-                if (this.onLog) this.onLog('📹 [视频检测] 自动裁剪功能已禁用');
-            }
+        const { data, ...report } = await this.tasks.composite(videoBlob, options);
 
-            // 读取PPT背景图片
-            const response = await fetch(pptBackground);
-            const pptData = new Uint8Array(await response.arrayBuffer());
-            await this.ffmpeg.writeFile('background.jpg', pptData);
-            if (this.onLog) this.onLog(`📋 PPT背景图片大小: ${pptData.length} bytes`);
+        return { blob: new Blob([data.buffer], { type: 'video/mp4' }), ...report };
+    }
 
-            if (this.onLog) this.onLog(`🎯 合成参数: 视频缩放=${videoScale}, 叠加位置=${overlayPosition}, 输出尺寸=${outputSize}`);
+    /**
+     * 取消所有进行中的任务（转换、探测或合成）
+     * 只取消某一个任务时使用该任务的 signal
+     * @returns {Promise<void>} 取消完成（直接模式需要重新初始化）
+     */
+    cancelConversion() {
+        if (this.operations.size === 0) {
+            if (this.onLog) this.onLog('没有进行中的任务，无需取消');
+            return this.restartPromise || Promise.resolve();
+        }
 
-            // 确保输出尺寸是偶数（H.264要求）
-            const [outputWidth, outputHeight] = outputSize.split(':').map(Number);
-            const evenWidth = outputWidth % 2 === 0 ? outputWidth : outputWidth + 1;
-            const evenHeight = outputHeight % 2 === 0 ? outputHeight : outputHeight + 1;
-            const evenOutputSize = `${evenWidth}:${evenHeight}`;
-            
-            if (this.onLog) this.onLog(`📐 调整输出尺寸: ${outputSize} -> ${evenOutputSize} (确保偶数)`);
+        if (this.onLog) this.onLog('🛑 用户请求取消转换...');
+        return Promise.all(Array.from(this.operations, operation => this.cancelOperation(operation)))
+            .then(() => {});
+    }
 
-            // 构建FFmpeg命令 - 修复静态背景与动态视频叠加问题
-            const command = [
-                '-loop', '1',                     // 循环背景图片
-                '-i', 'background.jpg',           // 背景图片
-            ];
-            
-            // 如果需要裁剪开头，添加 -ss 参数
-            if (startTime > 0) {
-                command.push('-ss', startTime.toString());
-            }
-            
-            command.push(
-                '-i', 'input_video.webm',         // 输入视频
-                '-filter_complex', 
-                `[0:v]scale=${evenOutputSize}[bg];[1:v]scale=${videoScale}[small];[bg][small]overlay=${overlayPosition}:shortest=1[v]`,
-                '-map', '[v]',                    // 映射合成的视频流
-                '-map', '1:a',                    // 映射原视频的音频流
-                '-c:v', 'libx264',                // H.264编码
-                '-preset', 'fast',                // 快速预设
-                '-crf', '23',                     // 质量设置
-                '-c:a', 'aac',                    // AAC音频
-                '-b:a', '128k',                   // 音频比特率
-                '-pix_fmt', 'yuv420p',           // 像素格式
-                '-t', '30',                       // 限制最长30秒（防止卡死）
-                'output_composite.mp4'
-            );
-
-            if (this.onLog) this.onLog(`🔧 FFmpeg合成命令: ${command.join(' ')}`);
-            
-            // 执行前检查输入文件
-            try {
-                const bgCheck = await this.ffmpeg.readFile('background.jpg');
-                const videoCheck = await this.ffmpeg.readFile('input_video.webm');
-                if (this.onLog) this.onLog(`✅ 执行前检查 - 背景图片: ${bgCheck.length} bytes, 视频: ${videoCheck.length} bytes`);
-            } catch (error) {
-                if (this.onLog) this.onLog(`❌ 执行前文件检查失败: ${error.message}`);
-            }
-            
-            if (this.onLog) this.onLog('🔧 执行FFmpeg合成命令...');
-            await this.ffmpeg.exec(command);
-            
-            // 执行后检查
-            if (this.onLog) this.onLog('✅ FFmpeg命令执行完成，检查输出文件...');
+    /**
+     * 取消单个操作
+     * FFmpeg命令无法中途停止：Worker模式终止执行该操作的Worker（其他Worker继续工作，池按需补充），
+     * 直接模式终止FFmpeg实例并重新初始化。操作的Promise以 reason 拒绝
+     * @param {object} operation - runCancellable创建的操作
+     * @param {Error} [reason] - 拒绝原因，默认为 ConversionCancelledError
+     * @returns {Promise<void>} 取消完成
+     */
+    cancelOperation(operation, reason = new ConversionCancelledError()) {
+        if (operation.cancelled) {
+            return this.restartPromise || Promise.resolve();
+        }
 
-            // 读取输出文件
-            const outputData = await this.ffmpeg.readFile('output_composite.mp4');
-            if (this.onLog) this.onLog(`📤 输出文件大小: ${outputData.length} bytes`);
-            
-            if (outputData.length < 1000) {
-                if (this.onLog) this.onLog(`❌ 输出文件太小 (${outputData.length} bytes)，可能合成失败`);
-                throw new Error(`合成失败：输出文件太小 (${outputData.length} bytes)`);
-            }
-            
-            const compositeBlob = new Blob([outputData.buffer], { type: 'video/mp4' });
+        operation.cancelled = true;
+        this.operations.delete(operation);
+        operation.reject(reason);
 
-            // 清理临时文件
-            await this.ffmpeg.deleteFile('input_video.webm');
-            await this.ffmpeg.deleteFile('background.jpg');
-            await this.ffmpeg.deleteFile('output_composite.mp4');
+        if (this.pool) {
+            if (operation.client) {
+                if (this.onLog) this.onLog(`🛑 终止 Worker #${operation.client.id}...`);
+                this.pool.discard(operation.client);
+            }
+            return Promise.resolve();
+        }
 
-            if (this.onLog) this.onLog('✅ 背景合成完成！');
-            return compositeBlob;
+        this.isCancelled = true;
+        this.terminateEngine();
+
+        this.restartPromise = this.init()
+            .then(() => {
+                if (this.onLog) this.onLog('✅ 已取消，转换器已重新就绪');
+            })
+            .catch((error) => {
+                if (this.onLog) this.onLog(`❌ 取消后重新初始化失败: ${error.message}`);
+            })
+            .finally(() => {
+                this.restartPromise = null;
+            });
 
-        } catch (error) {
-            if (this.onLog) this.onLog(`❌ 背景合成失败: ${error.message}`);
-            throw error;
-        }
+        return this.restartPromise;
     }
 
-    // 检测视频实际开始时间（跳过静态开头部分）
-    async detectVideoStart(inputFile) {
-        try {
-            if (this.onLog) this.onLog('🔍 [场景检测] 开始分析视频场景变化...');
-            
-            // 使用场景检测找到第一个显著变化的时间点
-            const command = [
-                '-i', inputFile,
-                '-vf', 'select=gt(scene\\,0.1)',  // 场景变化阈值0.1
-                '-vsync', 'vfr',
-                '-f', 'null',
-                '-'
-            ];
-
-            if (this.onLog) this.onLog(`🔍 [场景检测] FFmpeg命令: ${command.join(' ')}`);
-
-            // 捕获FFmpeg输出
-            let logOutput = '';
-            const originalOnLog = this.ffmpeg.on;
-            
-            // 临时捕获日志
-            if (this.ffmpeg.on) {
-                this.ffmpeg.on('log', ({ message }) => {
-                    logOutput += message + '\n';
-                    // 实时显示FFmpeg分析日志
-                    if (this.onLog && message.includes('pts_time')) {
-                        this.onLog(`🔍 [场景检测] FFmpeg输出: ${message.trim()}`);
-                    }
-                });
-            }
+    // FFmpeg卡住：与取消一样终止执行该操作的Worker（或直接模式的实例），但以 ConversionStalledError 失败
+    abortStalled(operation, seconds) {
+        if (this.onLog) this.onLog(`⏱️ FFmpeg ${seconds} 秒没有进度，判定为卡住，终止任务`);
+        this.cancelOperation(operation, new ConversionStalledError(seconds));
+    }
 
-            if (this.onLog) this.onLog('🔍 [场景检测] 执行场景检测命令...');
-            await this.ffmpeg.exec(command);
-            
-            if (this.onLog) this.onLog(`🔍 [场景检测] 命令执行完成，分析输出日志 (${logOutput.length}字符)`);
+    // 终止Worker池或直接模式的FFmpeg实例，中断正在执行的命令
+    terminateEngine() {
+        if (this.pool) {
+            if (this.onLog) this.onLog('🛑 终止所有FFmpeg Worker...');
+            this.pool.destroy();
+            this.pool = null;
+        }
 
-            // 解析输出中的时间戳
-            const lines = logOutput.split('\n');
-            let foundScenes = [];
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (line.includes('pts_time')) {
-                    const timeMatch = line.match(/pts_time:(\d+\.?\d*)/);
-                    if (timeMatch) {
-                        const sceneTime = parseFloat(timeMatch[1]);
-                        foundScenes.push(sceneTime);
-                        if (this.onLog) this.onLog(`🎯 [场景检测] 发现场景变化 #${foundScenes.length}: ${sceneTime.toFixed(2)}秒`);
-                    }
-                }
-            }
-            
-            if (this.onLog) this.onLog(`🔍 [场景检测] 总共发现 ${foundScenes.length} 个场景变化`);
-            
-            if (foundScenes.length > 0) {
-                const firstSceneTime = foundScenes[0];
-                if (this.onLog) this.onLog(`🎯 [场景检测] 第一个场景变化: ${firstSceneTime.toFixed(2)}秒`);
-                
-                // 如果变化在合理范围内（0.3-10秒），认为是有效的开始时间
-                if (firstSceneTime >= 0.3 && firstSceneTime <= 10.0) {
-                    const startTime = Math.max(0, firstSceneTime - 0.1); // 提前0.1秒开始
-                    if (this.onLog) this.onLog(`✂️ [场景检测] 设置开始时间: ${startTime.toFixed(2)}秒 (原场景时间-0.1秒)`);
-                    return startTime;
-                } else {
-                    if (this.onLog) this.onLog(`⚠️ [场景检测] 第一个场景变化时间不合理: ${firstSceneTime.toFixed(2)}秒 (应在0.3-10秒范围内)`);
-                }
-            } else {
-                if (this.onLog) this.onLog('📹 [场景检测] 未检测到任何场景变化');
+        if (this.ffmpeg) {
+            if (this.onLog) this.onLog('🛑 终止FFmpeg实例（直接模式）...');
+            try {
+                this.ffmpeg.terminate();
+            } catch (error) {
+                // 实例可能尚未加载完成，忽略错误
             }
-
-            if (this.onLog) this.onLog('📹 [场景检测] 结论：从原始位置开始，无需裁剪');
-            return 0;
-
-        } catch (error) {
-            if (this.onLog) this.onLog(`⚠️ [场景检测] 检测失败: ${error.message}，从原始位置开始`);
-            return 0;
+            this.ffmpeg = null;
+            this.tasks = null;
         }
-    }
 
-    // 取消当前转换
-    cancelConversion() {
-        if (this.onLog) this.onLog('🛑 用户请求取消转换...');
-        
-        this.isCancelled = true;
-        
-        if (this.currentReject) {
-            this.currentReject(new Error('转换已被用户取消'));
-            this.currentReject = null;
-        }
-        
-        // 清除转换Promise，避免阻塞后续转换
-        this.conversionPromise = null;
-        
-        // 如果使用Worker，发送取消消息而不是终止Worker
-        if (this.useWorker && this.worker) {
-            if (this.onLog) this.onLog('发送取消请求到Worker...');
-            this.worker.postMessage({ type: 'cancel' });
-            
-            // 重置Worker状态以便下次使用
-            setTimeout(() => {
-                if (this.worker) {
-                    this.worker.postMessage({ type: 'reset' });
-                }
-            }, 100);
-        }
-        
-        // 如果使用直接模式，FFmpeg没有直接的取消方法，但我们设置取消标志
-        if (!this.useWorker && this.ffmpeg) {
-            if (this.onLog) this.onLog('🛑 设置取消标志（直接模式）...');
-            // 注意：FFmpeg.wasm 没有直接的取消方法，但我们可以通过Promise rejection来处理
-        }
-        
-        if (this.onLog) this.onLog('✅ 取消请求已发送');
+        this.isLoaded = false;
     }
 
     // 清理资源
     destroy() {
-        this.cancelConversion(); // 先取消任何进行中的转换
-        
-        if (this.worker) {
-            this.worker.terminate();
-            this.worker = null;
-        }
-        this.ffmpeg = null;
-        this.isLoaded = false;
+        // 排队中的任务不再执行
+        this.queue.cancelPending();
+
+        // 拒绝进行中的任务，但不再重新初始化
+        this.operations.forEach(operation => {
+            operation.cancelled = true;
+            operation.reject(new ConversionCancelledError());
+        });
+        this.operations.clear();
+
+        this.terminateEngine();
         this.conversionPromise = null;
-        this.memoryPool.clear(); // 清理内存池
+        this.restartPromise = null;
         this.isCancelled = false;
-        this.currentReject = null;
     }
 }
 
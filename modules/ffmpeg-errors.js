@@ -0,0 +1,39 @@
+/**
+ * FFmpeg 转换错误类型
+ * 调用方可以据此区分用户取消、卡住被终止和真正的转换失败
+ */
+
+export class ConversionCancelledError extends Error {
+    /**
+     * @param {string} message 错误消息
+     */
+    constructor(message = '转换已被用户取消') {
+        super(message);
+        this.name = 'ConversionCancelledError';
+        this.code = 'CANCELLED';
+    }
+
+    /**
+     * 判断错误是否为取消（跨线程或跨模块实例的错误无法用instanceof判断，因此同时按name判断）
+     * @param {*} error 任意错误
+     * @returns {boolean} 是否为取消错误
+     */
+    static isCancellation(error) {
+        return error instanceof ConversionCancelledError
+            || (!!error && error.name === 'ConversionCancelledError');
+    }
+}
+
+export class ConversionStalledError extends Error {
+    /**
+     * @param {number} seconds 没有进度的秒数
+     */
+    constructor(seconds) {
+        super(`FFmpeg ${seconds} 秒没有进度，任务已终止`);
+        this.name = 'ConversionStalledError';
+        this.code = 'STALLED';
+        this.seconds = seconds;
+    }
+}
+
+export default ConversionCancelledError;
@@ -0,0 +1,322 @@
+/**
+ * FFmpeg 任务队列
+ * 在后台执行转换和合成任务（并行数量取决于转换器的Worker池），支持查询状态、进度、调整顺序、取消和移除
+ * 任务通过转换器的公开方法执行，取消使用AbortSignal
+ */
+
+import FFmpegProgressCalculator from './ffmpeg-progress-calculator.js';
+import ConversionCancelledError from './ffmpeg-errors.js';
+
+// 任务状态
+export const JobStatus = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+});
+
+// 任务类型
+export const JobType = Object.freeze({
+    CONVERT: 'convert',
+    COMPOSITE: 'composite'
+});
+
+export class FFmpegJobQueue {
+    /**
+     * @param {object} converter - OptimizedFFmpegConverter实例
+     */
+    constructor(converter) {
+        this.converter = converter;
+        this.jobs = [];            // 所有任务，按执行顺序排列（包含已结束的任务）
+        this.nextId = 1;
+        this.onJobUpdate = null;   // 任务状态或进度变化时调用，参数为任务快照
+    }
+
+    /**
+     * 添加任务
+     * @param {string} type - 任务类型（JobType）
+     * @param {Blob} input - 输入视频
+     * @param {object} options - 传给转换器的选项（convertWebMToMP4 或 compositeVideoWithBackground）
+     * @param {object} meta - { label: 显示名称, duration: 视频时长（秒），用于计算进度 }
+     * @returns {object} 任务快照
+     */
+    enqueue(type, input, options = {}, { label = null, duration = null } = {}) {
+        if (!Object.values(JobType).includes(type)) {
+            throw new Error(`未知的任务类型: ${type}`);
+        }
+
+        const id = this.nextId++;
+        const job = {
+            id,
+            type,
+            label: label || `${type === JobType.CONVERT ? '转换' : '合成'} #${id}`,
+            status: JobStatus.QUEUED,
+            progress: 0,
+            duration: duration || (options.mediaInfo ? options.mediaInfo.duration : null),
+            input,
+            options,
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            controller: null,
+            waiters: []
+        };
+
+        this.jobs.push(job);
+        this.log(`📥 已加入队列: ${job.label}`);
+        this.notify(job);
+        this.processNext();
+
+        return this.snapshot(job);
+    }
+
+    /**
+     * 获取所有任务
+     * @returns {object[]} 任务快照列表
+     */
+    getJobs() {
+        return this.jobs.map(job => this.snapshot(job));
+    }
+
+    /**
+     * 获取任务
+     * @param {number} id - 任务id
+     * @returns {object|null} 任务快照
+     */
+    getJob(id) {
+        const job = this.findJob(id);
+        return job ? this.snapshot(job) : null;
+    }
+
+    /**
+     * 等待任务结束
+     * @param {number} id - 任务id
+     * @returns {Promise<*>} 任务结果；任务失败或取消时拒绝
+     */
+    waitFor(id) {
+        const job = this.findJob(id);
+        if (!job) {
+            return Promise.reject(new Error(`任务不存在: ${id}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            if (job.status === JobStatus.DONE) {
+                resolve(job.result);
+            } else if (job.status === JobStatus.FAILED || job.status === JobStatus.CANCELLED) {
+                reject(job.error);
+            } else {
+                job.waiters.push({ resolve, reject });
+            }
+        });
+    }
+
+    /**
+     * 调整排队中任务的位置
+     * @param {number} id - 任务id
+     * @param {number} offset - 移动量，负数向前、正数向后（只在排队中的任务之间移动）
+     * @returns {boolean} 是否移动成功
+     */
+    moveJob(id, offset) {
+        const job = this.findJob(id);
+        if (!job || job.status !== JobStatus.QUEUED) return false;
+
+        const queued = this.jobs.filter(item => item.status === JobStatus.QUEUED);
+        const from = queued.indexOf(job);
+        const to = Math.max(0, Math.min(queued.length - 1, from + offset));
+        if (to === from) return false;
+
+        // 与目标位置的排队任务交换在完整列表中的位置
+        const target = queued[to];
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        const targetIndex = this.jobs.indexOf(target);
+        this.jobs.splice(to > from ? targetIndex + 1 : targetIndex, 0, job);
+
+        this.notify(job);
+        return true;
+    }
+
+    /**
+     * 取消任务：排队中的直接标记为已取消，执行中的中止转换器
+     * @param {number} id - 任务id
+     * @returns {boolean} 是否已取消
+     */
+    cancelJob(id) {
+        const job = this.findJob(id);
+        if (!job) return false;
+
+        if (job.status === JobStatus.QUEUED) {
+            this.finish(job, JobStatus.CANCELLED, null, new ConversionCancelledError());
+            return true;
+        }
+
+        if (job.status === JobStatus.RUNNING && job.controller) {
+            this.log(`🛑 取消任务: ${job.label}`);
+            job.controller.abort();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 移除任务（执行中的任务会先取消，等它真正结束后再移除）
+     * @param {number} id - 任务id
+     * @returns {boolean} 是否已移除（执行中的任务为是否已安排移除）
+     */
+    removeJob(id) {
+        const job = this.findJob(id);
+        if (!job) return false;
+
+        // 执行中的任务仍占用执行槽，留在列表中由 finish() 移除，避免提前补位超出并行数
+        if (job.status === JobStatus.RUNNING) {
+            job.removeOnFinish = true;
+            this.cancelJob(id);
+            return true;
+        }
+
+        this.cancelJob(id);
+        this.detach(job);
+        return true;
+    }
+
+    // 从列表中移除任务并通知（快照的removed为true）
+    detach(job) {
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        job.removed = true;
+        this.notify(job);
+    }
+
+    /**
+     * 移除所有已结束的任务
+     */
+    clearFinished() {
+        const finished = this.jobs.filter(job => this.isFinished(job));
+        finished.forEach(job => this.removeJob(job.id));
+    }
+
+    /**
+     * 取消所有排队中的任务（不影响执行中的任务）
+     */
+    cancelPending() {
+        this.jobs
+            .filter(job => job.status === JobStatus.QUEUED)
+            .forEach(job => this.cancelJob(job.id));
+    }
+
+    // 按转换器的并行能力启动排队中的任务，每个任务结束后继续补位
+    processNext() {
+        const limit = Math.max(1, this.converter.getParallelism());
+        let running = this.jobs.filter(job => job.status === JobStatus.RUNNING).length;
+
+        let job;
+        while (running < limit && (job = this.jobs.find(item => item.status === JobStatus.QUEUED))) {
+            running++;
+            this.runJob(job).then(() => this.processNext());
+        }
+    }
+
+    // 执行单个任务
+    async runJob(job) {
+        job.status = JobStatus.RUNNING;
+        job.startedAt = Date.now();
+        job.controller = new AbortController();
+        this.log(`▶️ 开始任务: ${job.label}`);
+        this.notify(job);
+
+        const progressCalculator = FFmpegProgressCalculator.create(job.duration || 0);
+        const options = {
+            ...job.options,
+            signal: job.controller.signal,
+            onProgress: (percent, time) => {
+                const result = progressCalculator.calculateProgress(percent, time);
+                if (result.isValid && result.percent !== job.progress) {
+                    job.progress = result.percent;
+                    this.notify(job);
+                }
+            }
+        };
+
+        try {
+            const result = job.type === JobType.CONVERT
+                ? await this.converter.convertWebMToMP4(job.input, options)
+                : await this.converter.compositeVideoWithBackground(job.input, options);
+
+            job.progress = 100;
+            this.finish(job, JobStatus.DONE, result, null);
+        } catch (error) {
+            const cancelled = ConversionCancelledError.isCancellation(error);
+            this.finish(job, cancelled ? JobStatus.CANCELLED : JobStatus.FAILED, null, error);
+        }
+    }
+
+    // 记录任务结束状态并通知等待者
+    finish(job, status, result, error) {
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = Date.now();
+        job.controller = null;
+        job.input = null; // 释放输入视频
+
+        const summaries = {
+            [JobStatus.DONE]: '✅ 任务完成',
+            [JobStatus.FAILED]: `❌ 任务失败 (${error ? error.message : '未知错误'})`,
+            [JobStatus.CANCELLED]: '🛑 任务已取消'
+        };
+        this.log(`${summaries[status]}: ${job.label}`);
+
+        job.waiters.forEach(({ resolve, reject }) => (status === JobStatus.DONE ? resolve(result) : reject(error)));
+        job.waiters = [];
+
+        this.notify(job);
+        if (job.removeOnFinish) {
+            this.detach(job);
+        }
+    }
+
+    // 按id查找任务
+    findJob(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    // 任务是否已结束（完成、失败或取消）
+    isFinished(job) {
+        return job.status === JobStatus.DONE || job.status === JobStatus.FAILED || job.status === JobStatus.CANCELLED;
+    }
+
+    // 对外暴露的任务信息（不包含输入数据和内部控制对象）
+    snapshot(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            label: job.label,
+            status: job.status,
+            progress: job.progress,
+            duration: job.duration,
+            result: job.result,
+            error: job.error ? job.error.message : null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            position: job.status === JobStatus.QUEUED
+                ? this.jobs.filter(item => item.status === JobStatus.QUEUED).indexOf(job)
+                : null,
+            removed: !!job.removed
+        };
+    }
+
+    // 通知任务变化
+    notify(job) {
+        if (this.onJobUpdate) this.onJobUpdate(this.snapshot(job));
+    }
+
+    // 日志输出（使用转换器的日志回调）
+    log(message) {
+        if (this.converter.onLog) this.converter.onLog(`[队列] ${message}`);
+    }
+}
+
+export default FFmpegJobQueue;
@@ -0,0 +1,450 @@
+/**
+ * FFmpeg 媒体信息解析器
+ * 解析 `ffmpeg -i` 输出的输入信息，判断哪些流可以直接复制进MP4容器
+ */
+
+// 可以合法放入MP4容器的视频编码
+export const MP4_COPYABLE_VIDEO_CODECS = ['h264', 'hevc', 'vp9', 'av1'];
+
+// 可以合法放入MP4容器的音频编码
+export const MP4_COPYABLE_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'flac'];
+
+// 完整重编码策略
+export const TRANSCODE_PLAN = Object.freeze({ strategy: 'transcode', video: 'transcode', audio: 'transcode' });
+
+export class MediaProbe {
+    /**
+     * 获取探测命令（只读取输入信息，不产生输出文件）
+     * @param {string} inputFile - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static getProbeCommand(inputFile) {
+        return ['-hide_banner', '-i', inputFile];
+    }
+
+    /**
+     * 获取时长扫描命令（流复制到空输出，读取最后的time=即为真实时长）
+     * MediaRecorder生成的WebM通常没有时长信息（Duration: N/A），需要扫描一遍
+     * @param {string} inputFile - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static getDurationScanCommand(inputFile) {
+        return ['-hide_banner', '-i', inputFile, '-map', '0', '-c', 'copy', '-f', 'null', '-'];
+    }
+
+    /**
+     * 获取关键帧扫描命令：只解码关键帧，showinfo输出每帧的时间
+     * @param {string} inputFile - 输入文件名
+     * @returns {string[]} FFmpeg参数
+     */
+    static getKeyframeScanCommand(inputFile) {
+        return [
+            '-hide_banner',
+            '-skip_frame', 'nokey',
+            '-i', inputFile,
+            '-map', '0:v:0',
+            '-vf', 'showinfo',
+            '-fps_mode', 'passthrough',
+            '-f', 'null', '-'
+        ];
+    }
+
+    /**
+     * 从showinfo日志中解析关键帧时间
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {number[]} 关键帧时间（秒），按时间排列
+     */
+    static parseKeyframeTimes(logText) {
+        return this.parseShowinfoTimes(logText, { keyframesOnly: true });
+    }
+
+    /**
+     * 从showinfo日志中解析帧时间（如场景检测选出的帧）
+     * @param {string} logText - FFmpeg输出日志
+     * @param {object} options - { keyframesOnly: 是否跳过非关键帧 }
+     * @returns {number[]} 帧时间（秒），按时间排列
+     */
+    static parseShowinfoTimes(logText, { keyframesOnly = false } = {}) {
+        return logText.split('\n')
+            .filter(line => line.includes('Parsed_showinfo') && !(keyframesOnly && /iskey:0/.test(line)))
+            .map(line => line.match(/pts_time:\s*(-?\d+(?:\.\d+)?)/))
+            .filter(Boolean)
+            .map(match => parseFloat(match[1]))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * 从silencedetect日志中解析静音区间
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {{start: number, end: number|null}[]} 静音区间（秒），持续到结尾且没有silence_end时end为null
+     */
+    static parseSilences(logText) {
+        const silences = [];
+        let current = null;
+
+        for (const line of logText.split('\n')) {
+            const startMatch = line.match(/silence_start:\s*(-?\d+(?:\.\d+)?)/);
+            const endMatch = line.match(/silence_end:\s*(-?\d+(?:\.\d+)?)/);
+            if (startMatch) {
+                current = { start: parseFloat(startMatch[1]), end: null };
+                silences.push(current);
+            } else if (endMatch && current) {
+                current.end = parseFloat(endMatch[1]);
+                current = null;
+            }
+        }
+
+        return silences;
+    }
+
+    /**
+     * 从loudnorm（print_format=json）日志中解析响度测量值
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {{integrated: number, truePeak: number, loudnessRange: number, threshold: number, targetOffset: number}|null}
+     *   输入的综合响度（LUFS）、真峰值（dBTP）、响度范围（LU）、门限和第二遍使用的偏移，没有统计时返回null；
+     *   无法测量的值（如静音的 -inf）为NaN
+     */
+    static parseLoudnormStats(logText) {
+        const keyIndex = logText.lastIndexOf('"input_i"');
+        if (keyIndex < 0) return null;
+
+        const start = logText.lastIndexOf('{', keyIndex);
+        const end = logText.indexOf('}', keyIndex);
+        if (start < 0 || end < 0) return null;
+
+        let stats;
+        try {
+            stats = JSON.parse(logText.slice(start, end + 1));
+        } catch (e) {
+            return null;
+        }
+
+        return {
+            integrated: parseFloat(stats.input_i),
+            truePeak: parseFloat(stats.input_tp),
+            loudnessRange: parseFloat(stats.input_lra),
+            threshold: parseFloat(stats.input_thresh),
+            targetOffset: parseFloat(stats.target_offset)
+        };
+    }
+
+    /**
+     * 从astats日志中解析所有声道合计（Overall）的电平
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {{peakLevel: number, rmsLevel: number, rmsPeak: number, rmsTrough: number}|null}
+     *   峰值电平、平均（RMS）电平、RMS最大值和最小值（dBFS），没有统计时返回null；无法测量的值（如 -inf）为NaN
+     */
+    static parseAstatsOverall(logText) {
+        const index = logText.lastIndexOf('] Overall');
+        if (index < 0) return null;
+
+        const overall = logText.slice(index);
+        const read = (name) => {
+            const match = overall.match(new RegExp(`${name}:\\s*(\\S+)`));
+            return match ? parseFloat(match[1]) : NaN;
+        };
+
+        return {
+            peakLevel: read('Peak level dB'),
+            rmsLevel: read('RMS level dB'),
+            rmsPeak: read('RMS peak dB'),
+            rmsTrough: read('RMS trough dB')
+        };
+    }
+
+    /**
+     * 从ebur128日志的Summary中解析响度统计
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {{integrated: number, loudnessRange: number, truePeak: number}|null}
+     *   综合响度（LUFS）、响度范围（LU）、真峰值（dBTP，需设置 peak=true），没有统计时返回null；无法测量的值为NaN
+     */
+    static parseEbur128Summary(logText) {
+        const index = logText.lastIndexOf('Summary:');
+        if (index < 0) return null;
+
+        const summary = logText.slice(index);
+        const read = (pattern) => {
+            const match = summary.match(pattern);
+            return match ? parseFloat(match[1]) : NaN;
+        };
+
+        return {
+            integrated: read(/\bI:\s*(\S+)\s*LUFS/),
+            loudnessRange: read(/\bLRA:\s*(\S+)\s*LU/),
+            truePeak: read(/True peak:[\s\S]*?Peak:\s*(\S+)/)
+        };
+    }
+
+    /**
+     * 按文件头判断图片格式
+     * @param {Uint8Array} header - 文件开头的至少12个字节
+     * @returns {string|null} 'image/png' | 'image/jpeg' | 'image/webp'，无法识别时返回null
+     */
+    static detectImageType(header) {
+        const ascii = (start, end) => String.fromCharCode(...header.subarray(start, end));
+        if (header.length >= 8 && header[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+        if (header.length >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) return 'image/jpeg';
+        if (header.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+        return null;
+    }
+
+    /**
+     * 解析 HH:MM:SS.xx 格式的时间
+     * @param {string} timeStr - 时间字符串
+     * @returns {number|null} 秒数，无法解析返回null
+     */
+    static parseTimestamp(timeStr) {
+        const match = String(timeStr).match(/(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+        if (!match) return null;
+        return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+    }
+
+    /**
+     * 从日志中解析最后一个进度时间（time=HH:MM:SS.xx）
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {number|null} 秒数
+     */
+    static parseLastProgressTime(logText) {
+        const matches = logText.match(/time=\d+:\d{2}:\d{2}(?:\.\d+)?/g);
+        if (!matches) return null;
+        return this.parseTimestamp(matches[matches.length - 1]);
+    }
+
+    /**
+     * 从日志中解析最后一个进度的帧数（frame=N，只在有视频流时输出）
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {number|null} 帧数
+     */
+    static parseLastFrameCount(logText) {
+        const matches = logText.match(/frame=\s*\d+/g);
+        if (!matches) return null;
+        return parseInt(matches[matches.length - 1].replace(/\D/g, ''), 10);
+    }
+
+    /**
+     * 解析码率字符串（如 "128 kb/s"）
+     * @param {string} text - 包含码率的文本
+     * @returns {number|null} 码率（bit/s）
+     */
+    static parseBitrate(text) {
+        const match = text.match(/(\d+(?:\.\d+)?) kb\/s/);
+        return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+    }
+
+    /**
+     * 解析帧率（优先fps，其次tbr；MediaRecorder的1k tbr是时间基而非帧率）
+     * @param {string} text - 视频流描述
+     * @returns {number|null} 帧率
+     */
+    static parseFrameRate(text) {
+        const toNumber = (value) => value.endsWith('k') ? parseFloat(value) * 1000 : parseFloat(value);
+
+        const fpsMatch = text.match(/, (\d+(?:\.\d+)?k?) fps/);
+        if (fpsMatch) {
+            const fps = toNumber(fpsMatch[1]);
+            if (fps > 0 && fps <= 240) return fps;
+        }
+
+        const tbrMatch = text.match(/, (\d+(?:\.\d+)?k?) tbr/);
+        if (tbrMatch) {
+            const tbr = toNumber(tbrMatch[1]);
+            if (tbr > 0 && tbr <= 240) return tbr;
+        }
+
+        return null;
+    }
+
+    /**
+     * 解析声道布局
+     * @param {string} text - 音频流描述
+     * @returns {number|null} 声道数
+     */
+    static parseChannels(text) {
+        const layouts = { mono: 1, stereo: 2, '2.1': 3, quad: 4, '5.0': 5, '5.1': 6, '7.1': 8 };
+        const parts = text.split(',').map(part => part.trim());
+
+        for (const part of parts) {
+            const layout = part.replace(/\(.*\)$/, '');
+            if (layouts[layout]) return layouts[layout];
+
+            const channelMatch = part.match(/^(\d+) channels/);
+            if (channelMatch) return parseInt(channelMatch[1], 10);
+        }
+
+        return null;
+    }
+
+    /**
+     * 从FFmpeg输入信息中解析完整媒体信息
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {object} { container, duration, startTime, bitrate, streams }
+     *   streams中视频流含 width/height/frameRate/pixelFormat，音频流含 sampleRate/channels
+     */
+    static parseMediaInfo(logText) {
+        const info = {
+            container: null,
+            duration: null,
+            startTime: 0,
+            bitrate: null,
+            streams: []
+        };
+
+        const inputMatch = logText.match(/Input #0, (.+?), from /);
+        if (inputMatch) {
+            info.container = inputMatch[1];
+        }
+
+        const durationMatch = logText.match(/Duration: ([^,]+), start: (-?[\d.]+), bitrate: ([^\n]+)/);
+        if (durationMatch) {
+            info.duration = this.parseTimestamp(durationMatch[1]);
+            info.startTime = parseFloat(durationMatch[2]);
+            info.bitrate = this.parseBitrate(durationMatch[3]);
+        }
+
+        const baseStreams = this.parseStreams(logText);
+        const streamLines = logText.split('\n').filter(line => /Stream #\d+:\d+/.test(line));
+
+        info.streams = baseStreams.map((stream, i) => {
+            const line = streamLines[i] || '';
+            const description = line.slice(line.indexOf(': ', line.indexOf('Stream #')) + 2);
+            const detailed = { ...stream, bitrate: this.parseBitrate(description) };
+
+            if (stream.type === 'video') {
+                const sizeMatch = description.match(/, (\d{2,5})x(\d{2,5})/);
+                const pixelFormatMatch = description.match(/^Video: [^,]+, ([a-z0-9_]+)/);
+                detailed.width = sizeMatch ? parseInt(sizeMatch[1], 10) : null;
+                detailed.height = sizeMatch ? parseInt(sizeMatch[2], 10) : null;
+                detailed.frameRate = this.parseFrameRate(description);
+                detailed.pixelFormat = pixelFormatMatch ? pixelFormatMatch[1] : null;
+            } else if (stream.type === 'audio') {
+                const sampleRateMatch = description.match(/(\d+) Hz/);
+                detailed.sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : null;
+                detailed.channels = this.parseChannels(description);
+            }
+
+            return detailed;
+        });
+
+        return info;
+    }
+
+    /**
+     * 获取媒体信息中的第一个视频流/音频流
+     * @param {object} mediaInfo - parseMediaInfo的返回值
+     * @param {string} type - 'video' 或 'audio'
+     * @returns {object|null} 流信息
+     */
+    static getStream(mediaInfo, type) {
+        if (!mediaInfo || !mediaInfo.streams) return null;
+        return mediaInfo.streams.find(stream => stream.type === type) || null;
+    }
+
+    /**
+     * 从FFmpeg日志中解析流信息
+     * @param {string} logText - FFmpeg输出日志
+     * @returns {Array<{index: number, type: string, codec: string}>} 流列表
+     */
+    static parseStreams(logText) {
+        const streams = [];
+        const streamPattern = /Stream #\d+:(\d+)(?:\[[^\]]*\])?(?:\([^)]*\))?: (Video|Audio|Subtitle|Data): ([^\s,(]+)/;
+
+        for (const line of logText.split('\n')) {
+            const match = line.match(streamPattern);
+            if (match) {
+                streams.push({
+                    index: parseInt(match[1], 10),
+                    type: match[2].toLowerCase(),
+                    codec: match[3].toLowerCase()
+                });
+            }
+        }
+
+        return streams;
+    }
+
+    /**
+     * 根据流信息决定转换策略
+     * @param {Array<{type: string, codec: string}>} streams - 流列表
+     * @returns {{strategy: string, video: string, audio: string}} 策略及每种流的处理方式
+     *   strategy: 'remux' | 'copy-video' | 'copy-audio' | 'transcode'
+     *   video/audio: 'copy' | 'transcode' | 'none'
+     */
+    static planStreamCopy(streams) {
+        // 探测失败时无法判断编码，只能完整重编码
+        if (streams.length === 0) {
+            return { ...TRANSCODE_PLAN };
+        }
+
+        const videoStream = streams.find(stream => stream.type === 'video');
+        const audioStream = streams.find(stream => stream.type === 'audio');
+
+        const decide = (stream, copyableCodecs) => {
+            if (!stream) return 'none';
+            return copyableCodecs.includes(stream.codec) ? 'copy' : 'transcode';
+        };
+
+        const video = decide(videoStream, MP4_COPYABLE_VIDEO_CODECS);
+        const audio = decide(audioStream, MP4_COPYABLE_AUDIO_CODECS);
+
+        let strategy;
+        if (video !== 'transcode' && audio !== 'transcode') {
+            strategy = 'remux';
+        } else if (video === 'copy') {
+            strategy = 'copy-video';
+        } else if (audio === 'copy') {
+            strategy = 'copy-audio';
+        } else {
+            strategy = 'transcode';
+        }
+
+        return { strategy, video, audio };
+    }
+
+    /**
+     * 从FFmpeg日志中提取错误信息（用于失败报告）
+     * 优先保留包含错误关键词的行，没有时保留最后几行
+     * @param {string} logText - FFmpeg输出日志
+     * @param {number} maxLines - 最多保留的行数
+     * @returns {string} 错误信息
+     */
+    static extractErrorText(logText, maxLines = 8) {
+        const lines = logText.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !/^(frame|size)=/.test(line));
+
+        const errorPattern = /error|invalid|failed|unsupported|not supported|could not|cannot|unknown|incorrect|no such|not found|too many|divisible|out of range|mismatch/i;
+        const errorLines = lines.filter(line => errorPattern.test(line));
+
+        return (errorLines.length > 0 ? errorLines : lines).slice(-maxLines).join('\n');
+    }
+
+    /**
+     * 音频需要经过滤镜处理时不能复制音频流：把策略中的音频复制改为重编码
+     * @param {{strategy: string, video: string, audio: string}} plan - 转换策略
+     * @returns {{strategy: string, video: string, audio: string}} 调整后的策略
+     */
+    static requireAudioTranscode(plan) {
+        if (plan.audio !== 'copy') return plan;
+        return { ...plan, audio: 'transcode', strategy: plan.video === 'copy' ? 'copy-video' : 'transcode' };
+    }
+
+    /**
+     * 获取策略的中文描述（用于日志）
+     * @param {string} strategy - 策略名
+     * @returns {string} 描述
+     */
+    static describeStrategy(strategy) {
+        switch (strategy) {
+            case 'remux':
+                return '快速复制模式（音视频流直接复制）';
+            case 'copy-video':
+                return '复制视频流，仅重编码音频';
+            case 'copy-audio':
+                return '复制音频流，仅重编码视频';
+            default:
+                return '完整重编码模式';
+        }
+    }
+}
+
+export default MediaProbe;
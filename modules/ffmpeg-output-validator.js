@@ -0,0 +1,200 @@
+/**
+ * 输出文件校验
+ * 编码完成后检查MP4是否真的可用：视频和音频都存在且是预期的编码（默认H.264/AAC）、时长与输入一致、
+ * moov位于文件开头（+faststart）、帧数合理；问题以结构化的错误/警告返回
+ * 纯函数实现，探测数据由 FFmpegTasks 收集，可以在Node中直接测试
+ */
+
+import MediaProbe from './ffmpeg-media-probe.js';
+
+// 默认校验参数
+export const DEFAULT_VALIDATION_OPTIONS = Object.freeze({
+    videoCodec: 'h264',            // 期望的视频编码（null表示不检查）
+    audioCodec: 'aac',             // 期望的音频编码（null表示不检查）
+    durationTolerance: 0.05,       // 时长允许的相对误差
+    minDurationTolerance: 1,       // 时长允许的最小绝对误差（秒），避免短视频误报
+    frameCountTolerance: 0.5       // 帧数允许偏离 时长×帧率 的比例
+});
+
+// 校验问题代码
+export const ValidationCode = Object.freeze({
+    NO_VIDEO: 'no-video',
+    NO_AUDIO: 'no-audio',
+    VIDEO_CODEC: 'video-codec',
+    AUDIO_CODEC: 'audio-codec',
+    DURATION_MISMATCH: 'duration-mismatch',
+    DURATION_UNKNOWN: 'duration-unknown',
+    NOT_FASTSTART: 'not-faststart',
+    NO_FRAMES: 'no-frames',
+    FRAME_COUNT: 'frame-count'
+});
+
+export class OutputValidator {
+    /**
+     * 时长允许的误差
+     * @param {number} reference - 期望时长（秒）
+     * @param {object} options - 见 DEFAULT_VALIDATION_OPTIONS
+     * @returns {number} 秒数
+     */
+    static getDurationTolerance(reference, options = {}) {
+        const { durationTolerance, minDurationTolerance } = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+        return Math.max(minDurationTolerance, reference * durationTolerance);
+    }
+
+    /**
+     * 检查输出是否比期望的短（如命令被中途截断），不需要完整校验
+     * @param {number|null} outputDuration - 输出时长（秒）
+     * @param {number|null} expectedDuration - 期望时长（秒）
+     * @param {object} options - 见 DEFAULT_VALIDATION_OPTIONS
+     * @returns {{expectedDuration: number, outputDuration: number, missing: number, message: string}|null}
+     *   短于期望超过允许误差时返回差值和说明，否则（或任一时长未知时）返回null
+     */
+    static checkShortened(outputDuration, expectedDuration, options = {}) {
+        if (!(outputDuration > 0) || !(expectedDuration > 0)) return null;
+
+        const missing = expectedDuration - outputDuration;
+        if (missing <= this.getDurationTolerance(expectedDuration, options)) return null;
+
+        return {
+            expectedDuration,
+            outputDuration,
+            missing,
+            message: `输出只有 ${outputDuration.toFixed(2)}秒，比输入的 ${expectedDuration.toFixed(2)}秒 短 ${missing.toFixed(2)}秒`
+        };
+    }
+
+    /**
+     * 列出MP4顶层box（只读取box头，不解析内容）
+     * @param {Uint8Array} data - MP4文件数据
+     * @returns {{type: string, offset: number, size: number}[]} 顶层box列表
+     */
+    static listTopLevelBoxes(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const boxes = [];
+        let offset = 0;
+
+        while (offset + 8 <= data.length) {
+            let size = view.getUint32(offset);
+            const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+
+            if (size === 1 && offset + 16 <= data.length) {
+                // 64位大小
+                size = view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+            } else if (size === 0) {
+                // 延伸到文件末尾
+                size = data.length - offset;
+            }
+            if (size < 8) break; // 损坏的box
+
+            boxes.push({ type, offset, size });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    /**
+     * 判断moov是否位于mdat之前（+faststart，边下载边播放）
+     * @param {Uint8Array} data - MP4文件数据
+     * @returns {boolean|null} 无法找到moov或mdat时返回null
+     */
+    static isFastStart(data) {
+        const boxes = this.listTopLevelBoxes(data);
+        const moov = boxes.find(box => box.type === 'moov');
+        const mdat = boxes.find(box => box.type === 'mdat');
+        if (!moov || !mdat) return null;
+        return moov.offset < mdat.offset;
+    }
+
+    /**
+     * 校验输出文件
+     * @param {object} probe - 收集到的信息：
+     *   output —— 输出的媒体信息（MediaProbe.parseMediaInfo），
+     *   input —— 输入的媒体信息（可选，用于比较时长和判断是否应有音频），
+     *   expectedDuration —— 期望时长（秒，可选，默认取输入时长），
+     *   frameCount —— 扫描得到的视频帧数，faststart —— isFastStart的结果
+     * @param {object} options - 校验参数，见 DEFAULT_VALIDATION_OPTIONS；
+     *   videoCodec/audioCodec 应为本次编码方式实际要输出的编码（如流复制时为输入的编码），不一致即为错误
+     * @returns {{valid: boolean, errors: object[], warnings: object[], details: object}}
+     *   errors/warnings中每项为 { code, message }，有错误时valid为false
+     */
+    static validate({ output, input = null, expectedDuration = null, frameCount = null, faststart = null }, options = {}) {
+        const settings = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+        const errors = [];
+        const warnings = [];
+
+        const video = MediaProbe.getStream(output, 'video');
+        const audio = MediaProbe.getStream(output, 'audio');
+
+        // 输入没有音频流时，输出没有音频只是警告
+        const inputHasAudio = input && input.streams ? !!MediaProbe.getStream(input, 'audio') : true;
+
+        if (!video) {
+            errors.push({ code: ValidationCode.NO_VIDEO, message: '输出没有视频流' });
+        } else if (settings.videoCodec && video.codec !== settings.videoCodec) {
+            errors.push({ code: ValidationCode.VIDEO_CODEC, message: `视频编码为 ${video.codec}，不是 ${settings.videoCodec}` });
+        }
+
+        if (!audio) {
+            (inputHasAudio ? errors : warnings).push({
+                code: ValidationCode.NO_AUDIO,
+                message: inputHasAudio ? '输出没有音频流（输入有音频）' : '输出没有音频流（输入也没有音频）'
+            });
+        } else if (settings.audioCodec && audio.codec !== settings.audioCodec) {
+            errors.push({ code: ValidationCode.AUDIO_CODEC, message: `音频编码为 ${audio.codec}，不是 ${settings.audioCodec}` });
+        }
+
+        // 时长：与输入（或指定的期望时长）比较
+        const duration = output.duration > 0 ? output.duration : null;
+        const reference = expectedDuration > 0 ? expectedDuration : (input && input.duration > 0 ? input.duration : null);
+        if (!duration) {
+            errors.push({ code: ValidationCode.DURATION_UNKNOWN, message: '无法读取输出时长' });
+        } else if (reference) {
+            const tolerance = this.getDurationTolerance(reference, settings);
+            if (Math.abs(duration - reference) > tolerance) {
+                errors.push({
+                    code: ValidationCode.DURATION_MISMATCH,
+                    message: `输出时长 ${duration.toFixed(2)}秒，输入 ${reference.toFixed(2)}秒（允许误差 ${tolerance.toFixed(2)}秒）`
+                });
+            }
+        }
+
+        if (faststart === false) {
+            warnings.push({ code: ValidationCode.NOT_FASTSTART, message: 'moov不在文件开头，需要下载完整文件才能播放' });
+        }
+
+        // 帧数：与 时长×帧率 比较
+        let expectedFrameCount = null;
+        if (video) {
+            if (frameCount === 0) {
+                errors.push({ code: ValidationCode.NO_FRAMES, message: '视频流没有帧' });
+            } else if (frameCount > 0 && duration && video.frameRate > 0) {
+                expectedFrameCount = Math.round(duration * video.frameRate);
+                const deviation = Math.abs(frameCount - expectedFrameCount) / expectedFrameCount;
+                if (deviation > settings.frameCountTolerance) {
+                    warnings.push({
+                        code: ValidationCode.FRAME_COUNT,
+                        message: `视频帧数 ${frameCount}，按时长和帧率应约为 ${expectedFrameCount}`
+                    });
+                }
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            details: {
+                videoCodec: video ? video.codec : null,
+                audioCodec: audio ? audio.codec : null,
+                duration,
+                expectedDuration: reference,
+                faststart,
+                frameCount,
+                expectedFrameCount
+            }
+        };
+    }
+}
+
+export default OutputValidator;
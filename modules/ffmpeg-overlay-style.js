@@ -0,0 +1,273 @@
+/**
+ * 演讲者模式的摄像头画面样式
+ * 圆形和圆角矩形遮罩、边框、投影和水平镜像。几何尺寸由 getLayout 统一计算，
+ * FFmpeg滤镜（buildFilterGraph）和画布预览（drawPreview）使用同一份结果，预览与合成的画面一致：
+ * - 形状：按像素中心到形状边缘的距离计算覆盖率（1像素抗锯齿），geq只对单帧遮罩计算一次，之后由overlay/alphamerge重复使用
+ * - 边框：画在形状内侧，不改变画面的位置和大小
+ * - 投影：与画布的 shadowBlur 相同，高斯模糊的标准差为模糊半径的一半
+ * 纯函数实现（drawPreview只使用Canvas 2D接口），可以在Node中直接测试滤镜字符串
+ */
+
+// 支持的形状
+export const OVERLAY_SHAPES = Object.freeze(['rectangle', 'rounded', 'circle']);
+
+// 默认画面样式（默认为普通矩形，与没有样式时相同）
+export const DEFAULT_OVERLAY_STYLE = Object.freeze({
+    shape: 'rectangle',        // 'rectangle' | 'rounded' | 'circle'（圆形从画面中间裁成正方形）
+    cornerRadius: 0.12,        // 圆角半径，按画面短边的比例
+    borderWidth: 0,            // 边框宽度（输出像素），0表示没有边框
+    borderColor: '#ffffff',    // 边框颜色（#rrggbb）
+    shadow: false,
+    shadowBlur: 0.08,          // 投影模糊半径，按画面短边的比例（同画布的 shadowBlur）
+    shadowOffset: 0.03,        // 投影向右下的偏移，按画面短边的比例
+    shadowOpacity: 0.5,        // 投影不透明度
+    mirror: false              // 水平镜像（与摄像头预览的方向一致）
+});
+
+// 数字写入滤镜表达式时最多保留3位小数
+const format = (value) => String(Number(value.toFixed(3)));
+const signed = (value) => (value < 0 ? `-${format(-value)}` : `+${format(value)}`);
+
+export class OverlayStyle {
+    /**
+     * 合并默认样式并检查（undefined和null表示使用默认值）
+     * @param {object|null} style - 画面样式，见 DEFAULT_OVERLAY_STYLE
+     * @returns {object} 完整的样式
+     * @throws {Error} 形状或边框颜色无效时
+     */
+    static resolve(style = null) {
+        const defined = Object.fromEntries(Object.entries(style || {}).filter(([, value]) => value != null));
+        const settings = { ...DEFAULT_OVERLAY_STYLE, ...defined };
+
+        if (!OVERLAY_SHAPES.includes(settings.shape)) {
+            throw new Error(`不支持的画面形状: ${settings.shape}`);
+        }
+        this.parseColor(settings.borderColor);
+        return settings;
+    }
+
+    /**
+     * 是否为普通矩形（没有任何样式，直接缩放叠加）
+     * @param {object} settings - resolve() 的结果
+     * @returns {boolean}
+     */
+    static isPlain(settings) {
+        return settings.shape === 'rectangle' && !(settings.borderWidth > 0) && !settings.shadow && !settings.mirror;
+    }
+
+    /**
+     * 解析 #rrggbb 颜色
+     * @param {string} color - 颜色
+     * @returns {{r: number, g: number, b: number}}
+     * @throws {Error} 格式无效时
+     */
+    static parseColor(color) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!match) {
+            throw new Error(`无效的边框颜色: ${color}（应为 #rrggbb）`);
+        }
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        return { r, g, b };
+    }
+
+    /**
+     * 计算画面的几何尺寸（输出像素）
+     * @param {number} scaleWidth - 摄像头画面缩放后的宽度
+     * @param {number} scaleHeight - 摄像头画面缩放后的高度
+     * @param {object} settings - resolve() 的结果
+     * @returns {{scaleWidth: number, scaleHeight: number, width: number, height: number, cropX: number, cropY: number,
+     *   radius: number, borderWidth: number, shadow: {blur: number, offset: number, padding: number, opacity: number}|null}}
+     *   width/height为叠加到背景上的大小（圆形时为正方形），cropX/cropY为其在缩放后画面中的位置
+     */
+    static getLayout(scaleWidth, scaleHeight, settings) {
+        let width = scaleWidth;
+        let height = scaleHeight;
+        let cropX = 0;
+        let cropY = 0;
+        let radius = 0;
+
+        if (settings.shape === 'circle') {
+            // 从中间裁成正方形，偏移取偶数（yuv420p的crop会把奇数偏移向下对齐）
+            const side = Math.min(scaleWidth, scaleHeight);
+            cropX = 2 * Math.floor((scaleWidth - side) / 4);
+            cropY = 2 * Math.floor((scaleHeight - side) / 4);
+            width = side;
+            height = side;
+            radius = side / 2;
+        } else if (settings.shape === 'rounded') {
+            radius = Math.round(Math.min(width, height) * settings.cornerRadius);
+        }
+
+        const shortSide = Math.min(width, height);
+        const borderWidth = Math.min(Math.max(Math.round(settings.borderWidth) || 0, 0), Math.floor(shortSide / 2));
+
+        let shadow = null;
+        if (settings.shadow) {
+            const blur = Math.max(Math.round(shortSide * settings.shadowBlur), 1);
+            shadow = {
+                blur,
+                offset: Math.round(shortSide * settings.shadowOffset),
+                padding: blur * 2,     // 高斯模糊约3个标准差（1.5倍模糊半径）之外可以忽略
+                opacity: settings.shadowOpacity
+            };
+        }
+
+        return { scaleWidth, scaleHeight, width, height, cropX, cropY, radius, borderWidth, shadow };
+    }
+
+    /**
+     * 圆角矩形覆盖率的geq表达式（0-1）：像素中心到边缘的有向距离，边缘处1像素过渡
+     * @param {number} width - 形状外框宽度
+     * @param {number} height - 形状外框高度
+     * @param {number} radius - 圆角半径（0为直角，短边一半为圆形）
+     * @param {object} options - { inset: 向内收缩的像素（边框内侧）, offset: 形状在图像中的偏移（投影图像的留白） }
+     * @returns {string} 表达式
+     */
+    static getShapeExpression(width, height, radius, { inset = 0, offset = 0 } = {}) {
+        const innerRadius = Math.max(radius - inset, 0);
+        const qx = `abs(X${signed(0.5 - offset - width / 2)})-${format(width / 2 - inset - innerRadius)}`;
+        const qy = `abs(Y${signed(0.5 - offset - height / 2)})-${format(height / 2 - inset - innerRadius)}`;
+        const distance = `hypot(max(${qx},0),max(${qy},0))+min(max(${qx},${qy}),0)-${format(innerRadius)}`;
+        return `clip(0.5-(${distance}),0,1)`;
+    }
+
+    /**
+     * 构建叠加部分的滤镜图
+     * @param {object} graph - { source: 摄像头画面的输入标签（如 "[1:v]"）, background: 背景标签（如 "[bg]"），
+     *   x, y: 画面左上角在背景上的位置, output: 输出标签（如 "[v]"） }
+     * @param {object} layout - getLayout() 的结果
+     * @param {object} settings - resolve() 的结果
+     * @returns {string} 滤镜图片段（分号连接）
+     */
+    static buildFilterGraph({ source, background, x, y, output }, layout, settings) {
+        const { scaleWidth, scaleHeight, width, height, cropX, cropY, radius, borderWidth, shadow } = layout;
+        const single = (w, h) => `color=c=black:s=${w}x${h}:r=1:d=1`;   // 只有一帧的图像，由overlay/alphamerge一直重复使用
+        const parts = [];
+
+        let camera = `${source}scale=${scaleWidth}:${scaleHeight}`;
+        if (width !== scaleWidth || height !== scaleHeight) {
+            camera += `,crop=${width}:${height}:${cropX}:${cropY}`;
+        }
+        if (settings.mirror) {
+            camera += ',hflip';
+        }
+        parts.push(`${camera}[cam]`);
+        let current = '[cam]';
+
+        // 边框：形状内侧收缩borderWidth之外的部分填充颜色
+        if (borderWidth > 0) {
+            const { r, g, b } = this.parseColor(settings.borderColor);
+            const inner = this.getShapeExpression(width, height, radius, { inset: borderWidth });
+            parts.push(
+                `${single(width, height)},format=rgba,geq=r=${r}:g=${g}:b=${b}:a='255*(1-${inner})'[ring]`,
+                `${current}[ring]overlay=0:0[camborder]`
+            );
+            current = '[camborder]';
+        }
+
+        // 形状：用遮罩作为透明通道
+        if (radius > 0) {
+            parts.push(
+                `${single(width, height)},format=gray,geq=lum='255*${this.getShapeExpression(width, height, radius)}'[mask]`,
+                `${current}[mask]alphamerge[camshape]`
+            );
+            current = '[camshape]';
+        }
+
+        // 投影：模糊后的形状先叠加到背景上
+        let base = background;
+        if (shadow) {
+            const { blur, offset, padding, opacity } = shadow;
+            const shape = this.getShapeExpression(width, height, radius, { offset: padding });
+            parts.push(
+                `${single(width + padding * 2, height + padding * 2)},format=rgba,`
+                    + `geq=r=0:g=0:b=0:a='${format(255 * opacity)}*${shape}',gblur=sigma=${format(blur / 2)}[shadow]`,
+                `${base}[shadow]overlay=${x + offset - padding}:${y + offset - padding}[bgshadow]`
+            );
+            base = '[bgshadow]';
+        }
+
+        parts.push(`${base}${current}overlay=${x}:${y}:shortest=1${output}`);
+        return parts.join(';');
+    }
+
+    // 圆角矩形路径（与 getShapeExpression 的形状相同）
+    static tracePath(ctx, x, y, width, height, radius) {
+        const r = Math.min(radius, width / 2, height / 2);
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + width, y, x + width, y + height, r);
+        ctx.arcTo(x + width, y + height, x, y + height, r);
+        ctx.arcTo(x, y + height, x, y, r);
+        ctx.arcTo(x, y, x + width, y, r);
+        ctx.closePath();
+    }
+
+    /**
+     * 在画布上绘制带样式的画面（与 buildFilterGraph 的结果一致）
+     * @param {CanvasRenderingContext2D} ctx - 画布（尺寸与输出相同）
+     * @param {CanvasImageSource} source - 摄像头画面（如video元素）
+     * @param {{x: number, y: number}} position - 画面左上角在背景上的位置
+     * @param {object} layout - getLayout() 的结果
+     * @param {object} settings - resolve() 的结果
+     */
+    static drawPreview(ctx, source, { x, y }, layout, settings) {
+        const { scaleWidth, scaleHeight, width, height, cropX, cropY, radius, borderWidth, shadow } = layout;
+
+        // 投影：形状画在画布外，只让偏移回来的阴影落在画布上
+        if (shadow) {
+            const shift = ctx.canvas.width + width + shadow.padding;
+            ctx.save();
+            ctx.shadowColor = `rgba(0, 0, 0, ${shadow.opacity})`;
+            ctx.shadowBlur = shadow.blur;
+            ctx.shadowOffsetX = shadow.offset + shift;
+            ctx.shadowOffsetY = shadow.offset;
+            ctx.fillStyle = '#000';
+            ctx.beginPath();
+            this.tracePath(ctx, x - shift, y, width, height, radius);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // 画面：先裁剪到形状，镜像时以画面中线翻转
+        ctx.save();
+        ctx.beginPath();
+        this.tracePath(ctx, x, y, width, height, radius);
+        ctx.clip();
+        if (settings.mirror) {
+            ctx.translate(x + width, y);
+            ctx.scale(-1, 1);
+        } else {
+            ctx.translate(x, y);
+        }
+        ctx.drawImage(source, -cropX, -cropY, scaleWidth, scaleHeight);
+        ctx.restore();
+
+        // 边框：外侧形状减去向内收缩后的形状
+        if (borderWidth > 0) {
+            ctx.save();
+            ctx.beginPath();
+            this.tracePath(ctx, x, y, width, height, radius);
+            this.tracePath(ctx, x + borderWidth, y + borderWidth, width - borderWidth * 2, height - borderWidth * 2,
+                Math.max(radius - borderWidth, 0));
+            ctx.fillStyle = settings.borderColor;
+            ctx.fill('evenodd');
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 样式的文字描述（用于日志）
+     * @param {object} settings - resolve() 的结果
+     * @returns {string} 如 "圆形、边框 4px #ffffff、投影、镜像"
+     */
+    static describe(settings) {
+        const labels = { rectangle: '矩形', rounded: '圆角矩形', circle: '圆形' };
+        const parts = [labels[settings.shape]];
+        if (settings.borderWidth > 0) parts.push(`边框 ${settings.borderWidth}px ${settings.borderColor}`);
+        if (settings.shadow) parts.push('投影');
+        if (settings.mirror) parts.push('镜像');
+        return parts.join('、');
+    }
+}
+
+export default OverlayStyle;
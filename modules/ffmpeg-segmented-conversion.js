@@ -0,0 +1,212 @@
+/**
+ * 分段转换
+ * 长录制在关键帧处切成约N秒的片段，每段作为独立任务只编码视频（Worker池有多个Worker时并行），
+ * 再用concat分离器流复制拼接，同时从完整输入一次编码音频混流成一个MP4；某段失败时只重试该段
+ * 切分、编码和拼接都通过转换器的公开方法执行，取消使用AbortSignal
+ */
+
+import FFmpegProgressCalculator from './ffmpeg-progress-calculator.js';
+import ConversionCancelledError from './ffmpeg-errors.js';
+import { FALLBACK_RUNGS } from './ffmpeg-command-builder.js';
+
+// 默认分段参数
+export const DEFAULT_SEGMENT_OPTIONS = Object.freeze({
+    segmentDuration: 60,   // 每段目标时长（秒），实际在之后的第一个关键帧处切分
+    maxRetries: 2          // 每段失败后最多重试的次数
+});
+
+export class FFmpegSegmentedConversion {
+    /**
+     * @param {object} converter - OptimizedFFmpegConverter实例
+     * @param {object} options - 分段参数，见 DEFAULT_SEGMENT_OPTIONS
+     */
+    constructor(converter, options = {}) {
+        this.converter = converter;
+        this.options = { ...DEFAULT_SEGMENT_OPTIONS, ...options };
+        this.controller = new AbortController(); // 外部取消或某段最终失败时中止所有片段
+        this.segments = [];
+        this.totalDuration = 0;
+        this.onProgress = null;
+    }
+
+    /**
+     * 执行分段转换
+     * @param {Blob} webmBlob - 输入WebM文件
+     * @param {object} encodeOptions - 每段的编码参数（传给 convertWebMToMP4，各段必须相同才能流复制拼接；
+     *   videoOnly时片段只含视频，音频在拼接时从完整输入编码）
+     * @param {object} control - { signal: 可选的AbortSignal, onProgress: 所有片段合计的进度回调 }
+     * @returns {Promise<{blob: Blob, plan: object, fallback: object, segments: object, validation?: object, audioEnhance?: object}>}
+     *   转换结果，segments记录分段数、重试次数等，validation为拼接结果的校验，audioEnhance为拼接时的音频增强报告
+     * @throws {ConversionCancelledError} signal中止时
+     */
+    async run(webmBlob, encodeOptions, { signal = null, onProgress = null } = {}) {
+        const startTime = Date.now();
+        const { segmentDuration } = this.options;
+        this.onProgress = onProgress;
+
+        if (signal && signal.aborted) {
+            throw new ConversionCancelledError();
+        }
+        const onAbort = () => this.controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const parts = await this.converter.splitIntoSegments(webmBlob, {
+                segmentDuration,
+                signal: this.controller.signal
+            });
+
+            this.segments = parts.map((part, index) => ({
+                index,
+                blob: part.blob,
+                duration: Math.max(part.end - part.start, 0.01),
+                progress: 0,       // 0-1
+                retries: 0,        // 失败后的重试次数（不含统一编码方式的重新编码）
+                reencoded: false,  // 是否为统一编码方式重新编码过
+                result: null
+            }));
+            this.totalDuration = this.segments.reduce((sum, segment) => sum + segment.duration, 0);
+            this.log(`🧩 共 ${this.segments.length} 段（总时长 ${this.totalDuration.toFixed(2)}秒），最多 ${this.converter.getParallelism()} 段并行编码`);
+
+            await this.encodeAll(encodeOptions);
+            await this.unifyFallbackRungs(encodeOptions);
+
+            // 音频不分段编码，避免每段AAC的编码器延迟在边界处造成爆音和音画漂移；
+            // 各段不单独校验，只校验拼接后的结果：统一级别后各段编码相同，视频应保持第一段的编码，音频为拼接时编码的AAC
+            const segmentFallback = this.segments[0].result.fallback;
+            const fallback = segmentFallback
+                ? { ...segmentFallback, codecs: { ...segmentFallback.codecs, audio: 'aac' } }
+                : null;
+            const { blob, validation, audioEnhance } = await this.converter.concatSegments(
+                this.segments.map(segment => segment.result.blob),
+                {
+                    audioSource: webmBlob,
+                    audioOptions: encodeOptions,
+                    expectedDuration: this.totalDuration,
+                    expectedCodecs: fallback ? fallback.codecs : null,
+                    validateOutput: encodeOptions.validateOutput !== false,
+                    signal: this.controller.signal
+                }
+            );
+
+            const retries = this.segments.reduce((sum, segment) => sum + segment.retries, 0);
+            const reencoded = this.segments.filter(segment => segment.reencoded).length;
+            const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+            this.log(`✅ 分段转换完成！${this.segments.length} 段，重试 ${retries} 次${reencoded ? `，统一编码方式重新编码 ${reencoded} 段` : ''}，耗时 ${totalTime} 秒`);
+
+            return {
+                blob,
+                plan: { ...this.segments[0].result.plan, audio: 'transcode' },
+                fallback,
+                validation,
+                ...(audioEnhance ? { audioEnhance } : {}),
+                segments: {
+                    count: this.segments.length,
+                    segmentDuration,
+                    durations: this.segments.map(segment => segment.duration),
+                    retries,
+                    reencoded
+                }
+            };
+        } catch (error) {
+            // 停止仍在编码的其他片段
+            this.controller.abort();
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this.segments.forEach(segment => {
+                segment.blob = null;
+            });
+        }
+    }
+
+    // 按转换器的并行能力编码所有片段：每个执行槽依次领取下一个未编码的片段
+    async encodeAll(encodeOptions) {
+        const slots = Math.min(Math.max(1, this.converter.getParallelism()), this.segments.length);
+        let next = 0;
+
+        const runSlot = async () => {
+            while (next < this.segments.length && !this.controller.signal.aborted) {
+                const segment = this.segments[next++];
+                await this.encodeSegment(segment, encodeOptions);
+            }
+        };
+
+        await Promise.all(Array.from({ length: slots }, runSlot));
+
+        if (this.controller.signal.aborted) {
+            throw new ConversionCancelledError();
+        }
+    }
+
+    // 各段可能停在编码回退阶梯的不同级别，编码不同时无法流复制拼接：
+    // 统一使用最靠后的级别（至少有一段用它成功）重新编码其余片段
+    async unifyFallbackRungs(encodeOptions) {
+        const rungOf = (segment) => (segment.result.fallback ? segment.result.fallback.rung : null);
+        const used = new Set(this.segments.map(rungOf));
+        if (used.size <= 1) return;
+
+        const finalRung = FALLBACK_RUNGS.filter(rung => used.has(rung)).pop();
+        this.log(`🪜 各段使用了不同的编码方式（${Array.from(used).join(', ')}），统一使用 ${finalRung} 重新编码`);
+
+        // 计划内的重新编码单独计数，并且有完整的重试次数
+        for (const segment of this.segments.filter(item => rungOf(item) !== finalRung)) {
+            segment.reencoded = true;
+            await this.encodeSegment(segment, { ...encodeOptions, fallbackRungs: [finalRung] });
+        }
+    }
+
+    // 编码单个片段，失败时只重试该片段
+    async encodeSegment(segment, encodeOptions) {
+        const label = `第 ${segment.index + 1}/${this.segments.length} 段`;
+
+        for (let attempt = 1; ; attempt++) {
+            segment.progress = 0;
+            const progressCalculator = FFmpegProgressCalculator.create(segment.duration);
+
+            try {
+                segment.result = await this.converter.convertWebMToMP4(segment.blob, {
+                    ...encodeOptions,
+                    validateOutput: false,
+                    signal: this.controller.signal,
+                    onProgress: (percent, time) => {
+                        const result = progressCalculator.calculateProgress(percent, time);
+                        if (result.isValid) {
+                            segment.progress = result.percent / 100;
+                            this.emitProgress();
+                        }
+                    }
+                });
+
+                segment.progress = 1;
+                this.emitProgress();
+                return;
+            } catch (error) {
+                if (ConversionCancelledError.isCancellation(error) || this.controller.signal.aborted) {
+                    throw error;
+                }
+                if (attempt > this.options.maxRetries) {
+                    throw new Error(`${label}转换失败（已重试 ${this.options.maxRetries} 次）: ${error.message}`);
+                }
+                segment.retries++;
+                this.log(`⚠️ ${label}转换失败 (${error.message})，重试第 ${attempt} 次...`);
+            }
+        }
+    }
+
+    // 按时长加权合计所有片段的进度，以 (百分比, 已处理秒数) 通知
+    emitProgress() {
+        if (!this.onProgress || !(this.totalDuration > 0)) return;
+
+        const doneSeconds = this.segments.reduce((sum, segment) => sum + segment.progress * segment.duration, 0);
+        const percent = Math.min(Math.round(doneSeconds / this.totalDuration * 100), 100);
+        this.onProgress(percent, doneSeconds.toFixed(2));
+    }
+
+    // 日志输出（使用转换器的日志回调）
+    log(message) {
+        if (this.converter.onLog) this.converter.onLog(`[分段] ${message}`);
+    }
+}
+
+export default FFmpegSegmentedConversion;
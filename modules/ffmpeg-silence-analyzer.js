@@ -0,0 +1,122 @@
+/**
+ * 静音分析
+ * 把 silencedetect 检测到的静音区间分为开头静音、结尾静音和中间的停顿，
+ * 并换算成要剪掉的区间（交给 TrimPlanner）：去掉首尾静音、把过长的停顿缩短
+ * 纯函数实现，静音区间由 FFmpegTasks 扫描得到（见 MediaProbe.parseSilences），可以在Node中直接测试
+ */
+
+// 默认静音检测参数
+export const DEFAULT_SILENCE_OPTIONS = Object.freeze({
+    noiseLevel: -30,       // 低于此音量（dB）视为静音
+    minSilence: 0.5,       // 持续至少这么多秒才算静音
+    pauseThreshold: 1,     // 中间的静音超过这么多秒才算停顿
+    edgeTolerance: 0.3,    // 静音距开头/结尾不超过此值（秒）时视为首尾静音（音频可能比视频略短）
+    edgePadding: 0.2       // 去掉首尾静音时在说话前后保留的秒数
+});
+
+export class SilenceAnalyzer {
+    /**
+     * 选项中是否要求静音裁剪
+     * @param {object} options - { trimSilence: 去掉首尾静音, maxPause: 停顿最长秒数 }
+     * @returns {boolean}
+     */
+    static hasSilenceTrim({ trimSilence = false, maxPause = null } = {}) {
+        return !!trimSilence || maxPause > 0;
+    }
+
+    /**
+     * 分析静音区间
+     * @param {{start: number, end: number|null}[]} silences - 检测到的静音（end为null表示持续到结尾）
+     * @param {number|null} duration - 输入时长（秒）
+     * @param {object} settings - 见 DEFAULT_SILENCE_OPTIONS
+     * @returns {{duration: number|null, silences: object[], leading: object|null, trailing: object|null,
+     *   pauses: object[], silentOnly: boolean}}
+     *   silences中每项为 { start, end, duration, position: 'leading' | 'trailing' | 'internal' }，
+     *   leading/trailing为首尾静音，pauses为超过 pauseThreshold 的中间停顿，silentOnly表示整段都是静音
+     */
+    static analyze(silences, duration = null, settings = {}) {
+        const { pauseThreshold, edgeTolerance } = { ...DEFAULT_SILENCE_OPTIONS, ...settings };
+        const knownDuration = duration > 0 ? duration : null;
+
+        let silentOnly = false;
+        const items = silences.map(({ start, end }, index) => {
+            const silenceStart = Math.max(0, start);
+            const reachesEnd = end == null || (knownDuration && end >= knownDuration - edgeTolerance);
+            const silenceEnd = reachesEnd ? (knownDuration || end) : end;
+            if (silences.length === 1 && silenceStart <= edgeTolerance && reachesEnd) silentOnly = true;
+
+            let position = 'internal';
+            if (index === 0 && silenceStart <= edgeTolerance) {
+                position = 'leading';
+            } else if (index === silences.length - 1 && reachesEnd) {
+                position = 'trailing';
+            }
+
+            return {
+                start: silenceStart,
+                end: silenceEnd,
+                duration: silenceEnd != null ? silenceEnd - silenceStart : null,
+                position
+            };
+        });
+
+        const leading = items.find(item => item.position === 'leading') || null;
+        const trailing = items.find(item => item.position === 'trailing') || null;
+
+        return {
+            duration: knownDuration,
+            silences: items,
+            leading,
+            trailing,
+            pauses: items.filter(item => item.position === 'internal' && item.duration >= pauseThreshold),
+            silentOnly
+        };
+    }
+
+    /**
+     * 换算要剪掉的区间
+     * @param {object} analysis - analyze() 的结果
+     * @param {object} settings - { trimEdges: 去掉首尾静音, maxPause: 中间停顿超过此秒数时缩短到此长度,
+     *   edgePadding: 见 DEFAULT_SILENCE_OPTIONS }
+     * @returns {{start: number, end: number}[]} 要剪掉的区间（可直接作为 cuts 使用），整段静音时为空
+     */
+    static planCuts(analysis, settings = {}) {
+        const { trimEdges = true, maxPause = null, edgePadding } = { ...DEFAULT_SILENCE_OPTIONS, ...settings };
+        const cuts = [];
+        if (analysis.silentOnly) return cuts;
+
+        const { leading, trailing } = analysis;
+        if (trimEdges && leading && leading.end - edgePadding > 0) {
+            cuts.push({ start: 0, end: leading.end - edgePadding });
+        }
+
+        // 停顿两边各保留一半，剪掉中间
+        if (maxPause > 0) {
+            analysis.silences
+                .filter(item => item.position === 'internal' && item.duration > maxPause)
+                .forEach(({ start, end }) => cuts.push({ start: start + maxPause / 2, end: end - maxPause / 2 }));
+        }
+
+        if (trimEdges && trailing) {
+            const end = trailing.end != null ? trailing.end : Infinity;
+            if (trailing.start + edgePadding < end) {
+                cuts.push({ start: trailing.start + edgePadding, end });
+            }
+        }
+
+        return cuts;
+    }
+
+    /**
+     * 剪掉区间的总时长
+     * @param {{start: number, end: number}[]} cuts - 要剪掉的区间
+     * @returns {number} 秒数（持续到结尾的区间不计入）
+     */
+    static getCutDuration(cuts) {
+        return cuts
+            .filter(({ end }) => Number.isFinite(end))
+            .reduce((sum, { start, end }) => sum + end - start, 0);
+    }
+}
+
+export default SilenceAnalyzer;
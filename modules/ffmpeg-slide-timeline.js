@@ -0,0 +1,120 @@
+/**
+ * 幻灯片时间线
+ * 演讲者模式的背景可以是按时间切换的多张幻灯片：每张给出图片和开始时间（按录制的时间），
+ * 换算成合成输出中每张显示的时长（裁剪掉的部分不计入），交给 FFmpegCommandBuilder.buildCompositeCommand 拼接背景
+ * 纯函数实现，可以在Node中直接测试
+ */
+
+// 默认时间线参数
+export const DEFAULT_SLIDE_TIMELINE_OPTIONS = Object.freeze({
+    minSlideDuration: 0.04     // 输出中显示不到这么多秒（约一帧）的幻灯片直接丢弃
+});
+
+export class SlideTimeline {
+    /**
+     * 检查并按开始时间排序幻灯片，第一张总是从0开始（录制开头不会没有背景）
+     * @param {{image: *, start: number}[]} slides - 幻灯片（image为图片数据，start为开始时间，秒）
+     * @returns {{image: *, start: number}[]} 排序后的幻灯片（开始时间相同时保持原顺序）
+     * @throws {Error} 没有幻灯片或开始时间无效时
+     */
+    static normalize(slides) {
+        if (!Array.isArray(slides) || slides.length === 0) {
+            throw new Error('至少需要一张幻灯片');
+        }
+
+        slides.forEach(({ start }, index) => {
+            if (!Number.isFinite(start) || start < 0) {
+                throw new Error(`第${index + 1}张幻灯片的开始时间无效: ${start}`);
+            }
+        });
+
+        const sorted = slides
+            .map((slide, index) => ({ slide, index }))
+            .sort((a, b) => a.slide.start - b.slide.start || a.index - b.index)
+            .map(({ slide }) => ({ ...slide }));
+        sorted[0].start = 0;
+        return sorted;
+    }
+
+    /**
+     * 把录制中的时间换算成裁剪后输出中的时间
+     * @param {number} time - 录制中的时间（秒）
+     * @param {{start: number, end: number|null}[]|null} ranges - 保留区间（见 TrimPlanner.resolveRanges），null表示没有裁剪
+     * @returns {number} 输出中的时间（秒），落在剪掉部分的时间对应下一个保留区间的开头
+     */
+    static toOutputTime(time, ranges = null) {
+        if (!ranges) return time;
+
+        let output = 0;
+        for (const { start, end } of ranges) {
+            const rangeEnd = end != null ? end : Infinity;
+            if (time >= rangeEnd) {
+                output += rangeEnd - start;
+            } else {
+                if (time > start) output += time - start;
+                break;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * 换算每张幻灯片在输出中的显示时长
+     * @param {{image: *, start: number}[]} slides - 幻灯片
+     * @param {object} options - { ranges: 保留区间（没有裁剪时为null）, duration: 输出时长（秒，未知时为null），
+     *   minSlideDuration: 见 DEFAULT_SLIDE_TIMELINE_OPTIONS }
+     * @returns {{image: *, start: number, duration: number|null}[]} 按顺序显示的幻灯片，
+     *   start为输出中的开始时间；最后一张的duration为null（一直显示到视频结束）。
+     *   完全落在剪掉部分或显示时间太短的幻灯片不出现在结果中
+     */
+    static planSegments(slides, { ranges = null, duration = null, ...settings } = {}) {
+        const { minSlideDuration } = { ...DEFAULT_SLIDE_TIMELINE_OPTIONS, ...settings };
+        const sorted = this.normalize(slides);
+
+        const segments = sorted.map((slide, index) => {
+            const start = this.toOutputTime(slide.start, ranges);
+            const end = index < sorted.length - 1 ? this.toOutputTime(sorted[index + 1].start, ranges) : null;
+            return { image: slide.image, start, end };
+        });
+
+        const kept = segments.filter(({ start, end }) => (end != null
+            ? end - start >= minSlideDuration
+            : !(duration > 0) || duration - start >= minSlideDuration));
+        if (kept.length === 0) kept.push(segments[0]);
+
+        // 丢弃的幻灯片的时间由前一张接着显示
+        return kept.map(({ image, start }, index) => {
+            const next = kept[index + 1];
+            return { image, start, duration: next ? next.start - start : null };
+        });
+    }
+
+    /**
+     * 某一时间显示的幻灯片
+     * @param {{start: number}[]} slides - 按开始时间排序的幻灯片（见 normalize）
+     * @param {number} time - 录制中的时间（秒）
+     * @returns {number} 幻灯片的下标，没有幻灯片时返回-1
+     */
+    static getSlideIndexAt(slides, time) {
+        let current = slides.length > 0 ? 0 : -1;
+        slides.forEach(({ start }, index) => {
+            if (start <= time) current = index;
+        });
+        return current;
+    }
+
+    /**
+     * 时间线的文字描述（用于日志）
+     * @param {{start: number, duration: number|null}[]} segments - planSegments() 的结果
+     * @returns {string} 如 "0.00-12.50秒、12.50秒-结尾"
+     */
+    static describe(segments) {
+        return segments
+            .map(({ start, duration }) => (duration != null
+                ? `${start.toFixed(2)}-${(start + duration).toFixed(2)}秒`
+                : `${start.toFixed(2)}秒-结尾`))
+            .join('、');
+    }
+}
+
+export default SlideTimeline;
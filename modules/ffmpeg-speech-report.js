@@ -0,0 +1,217 @@
+/**
+ * 演讲报告
+ * 根据一遍音频扫描（silencedetect 停顿、astats 电平、ebur128 响度）统计说话时间与停顿时间、长停顿、
+ * 平均和峰值响度、音量稳定性，以及演讲时长是否达到目标；报告是普通对象，可以直接导出为JSON
+ * 纯函数实现，扫描由 FFmpegTasks.analyzeSpeech 执行（见 MediaProbe.parseAstatsOverall / parseEbur128Summary），可以在Node中直接测试
+ */
+
+import { DEFAULT_SILENCE_OPTIONS } from './ffmpeg-silence-analyzer.js';
+
+// 默认报告参数
+export const DEFAULT_SPEECH_REPORT_OPTIONS = Object.freeze({
+    targetDuration: 60,        // 目标演讲时长（秒），即兴演讲练习默认1分钟
+    durationTolerance: 10,     // 演讲时长与目标相差不超过此值（秒）时视为达标
+    longPause: 2,              // 超过这么多秒的停顿计为长停顿
+    stableRange: 7,            // 响度范围（LU）不超过此值时视为音量稳定
+    unevenRange: 12            // 响度范围（LU）超过此值时视为音量起伏大
+});
+
+// 报告格式版本（导出的JSON中记录）
+export const SPEECH_REPORT_VERSION = 1;
+
+// 时长评价和音量稳定性的文字
+const TARGET_LABELS = Object.freeze({ short: '偏短', ok: '达标', long: '超时', unknown: '未知' });
+const CONSISTENCY_LABELS = Object.freeze({ stable: '稳定', moderate: '一般', uneven: '起伏大', unknown: '未知' });
+
+// 无法测量的值（-inf、NaN）统一为null，导出JSON时保持一致
+const finite = (value) => (Number.isFinite(value) ? value : null);
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+export class SpeechReport {
+    /**
+     * 生成报告
+     * @param {object} measurements - { analysis: 静音分析（见 SilenceAnalyzer.analyze），
+     *   levels: astats整体电平（见 MediaProbe.parseAstatsOverall），loudness: ebur128统计（见 MediaProbe.parseEbur128Summary） }
+     * @param {object} settings - 见 DEFAULT_SPEECH_REPORT_OPTIONS，另记录静音检测参数 noiseLevel、minSilence
+     * @returns {object} 报告：{ duration, speakingRatio, pauses, loudness, target, settings }，时间单位为秒
+     */
+    static build({ analysis, levels = null, loudness = null }, settings = {}) {
+        const options = { ...DEFAULT_SILENCE_OPTIONS, ...DEFAULT_SPEECH_REPORT_OPTIONS, ...settings };
+        const total = analysis.duration;
+
+        // 演讲时长从第一句话到最后一句话，不计首尾静音
+        const leading = analysis.leading ? analysis.leading.duration : 0;
+        const trailing = analysis.trailing ? analysis.trailing.duration : 0;
+        const internal = analysis.silences.filter(item => item.position === 'internal');
+        const pauseTime = internal.reduce((sum, item) => sum + item.duration, 0);
+
+        let talk = null;
+        if (analysis.silentOnly) {
+            talk = 0;
+        } else if (total > 0 && trailing != null) {
+            talk = Math.max(0, total - leading - trailing);
+        }
+        const speaking = talk != null ? Math.max(0, talk - pauseTime) : null;
+
+        const longPauses = internal.filter(item => item.duration >= options.longPause);
+        const longest = internal.reduce((max, item) => Math.max(max, item.duration), 0);
+        const toRange = ({ start, end, duration }) => ({ start: round(start), end: round(end), duration: round(duration) });
+
+        return {
+            silentOnly: analysis.silentOnly,
+            duration: {
+                total: round(total),
+                talk: round(talk),
+                speaking: round(speaking),
+                pauses: round(pauseTime),
+                leadingSilence: round(leading),
+                trailingSilence: round(trailing)
+            },
+            speakingRatio: talk > 0 ? round(speaking / talk, 3) : null,
+            pauses: {
+                count: internal.length,
+                average: internal.length > 0 ? round(pauseTime / internal.length) : null,
+                longest: internal.length > 0 ? round(longest) : null,
+                longCount: longPauses.length,
+                long: longPauses.map(toRange),
+                items: internal.map(toRange)
+            },
+            loudness: this.summarizeLoudness(levels, loudness, options),
+            target: this.evaluateTarget(talk, options),
+            settings: {
+                targetDuration: options.targetDuration,
+                durationTolerance: options.durationTolerance,
+                longPause: options.longPause,
+                noiseLevel: options.noiseLevel,
+                minSilence: options.minSilence
+            }
+        };
+    }
+
+    /**
+     * 汇总响度：平均响度用ebur128的综合响度，稳定性按响度范围（LRA）评价
+     * @param {object|null} levels - astats整体电平
+     * @param {object|null} loudness - ebur128统计
+     * @param {object} settings - 见 DEFAULT_SPEECH_REPORT_OPTIONS
+     * @returns {{integrated: number|null, loudnessRange: number|null, truePeak: number|null,
+     *   rmsLevel: number|null, peakLevel: number|null, consistency: string}}
+     *   consistency 为 'stable' | 'moderate' | 'uneven' | 'unknown'
+     */
+    static summarizeLoudness(levels, loudness, settings = {}) {
+        const { stableRange, unevenRange } = { ...DEFAULT_SPEECH_REPORT_OPTIONS, ...settings };
+        const range = loudness ? finite(loudness.loudnessRange) : null;
+
+        let consistency = 'unknown';
+        if (range != null) {
+            if (range <= stableRange) consistency = 'stable';
+            else if (range <= unevenRange) consistency = 'moderate';
+            else consistency = 'uneven';
+        }
+
+        return {
+            integrated: loudness ? round(finite(loudness.integrated), 1) : null,
+            loudnessRange: round(range, 1),
+            truePeak: loudness ? round(finite(loudness.truePeak), 1) : null,
+            rmsLevel: levels ? round(finite(levels.rmsLevel), 1) : null,
+            peakLevel: levels ? round(finite(levels.peakLevel), 1) : null,
+            consistency
+        };
+    }
+
+    /**
+     * 评价演讲时长
+     * @param {number|null} actual - 演讲时长（秒）
+     * @param {object} settings - { targetDuration, durationTolerance }，见 DEFAULT_SPEECH_REPORT_OPTIONS
+     * @returns {{duration: number, tolerance: number, actual: number|null, difference: number|null, status: string}}
+     *   status 为 'short' | 'ok' | 'long' | 'unknown'，difference为与目标的差（正数表示超出）
+     */
+    static evaluateTarget(actual, settings = {}) {
+        const { targetDuration, durationTolerance } = { ...DEFAULT_SPEECH_REPORT_OPTIONS, ...settings };
+        if (actual == null) {
+            return { duration: targetDuration, tolerance: durationTolerance, actual: null, difference: null, status: 'unknown' };
+        }
+
+        const difference = actual - targetDuration;
+        let status = 'ok';
+        if (difference < -durationTolerance) status = 'short';
+        else if (difference > durationTolerance) status = 'long';
+
+        return { duration: targetDuration, tolerance: durationTolerance, actual: round(actual), difference: round(difference), status };
+    }
+
+    /**
+     * 按新的目标时长重新评价（不需要重新扫描）
+     * @param {object} report - build() 的结果
+     * @param {object} settings - { targetDuration, durationTolerance }
+     * @returns {object} 新的报告
+     */
+    static withTarget(report, settings = {}) {
+        const options = {
+            targetDuration: report.settings.targetDuration,
+            durationTolerance: report.settings.durationTolerance,
+            ...settings
+        };
+        return {
+            ...report,
+            target: this.evaluateTarget(report.duration.talk, options),
+            settings: { ...report.settings, targetDuration: options.targetDuration, durationTolerance: options.durationTolerance }
+        };
+    }
+
+    /**
+     * 时长评价的简短文字
+     * @param {object} target - evaluateTarget() 的结果
+     * @returns {string} '偏短' | '达标' | '超时' | '未知'
+     */
+    static getTargetLabel(target) {
+        return TARGET_LABELS[target.status];
+    }
+
+    /**
+     * 时长评价的文字描述
+     * @param {object} target - evaluateTarget() 的结果
+     * @returns {string} 如 "达标（58.20秒，目标 60±10秒）"
+     */
+    static describeTarget(target) {
+        const actual = target.actual != null ? `${target.actual.toFixed(2)}秒，` : '';
+        return `${this.getTargetLabel(target)}（${actual}目标 ${target.duration}±${target.tolerance}秒）`;
+    }
+
+    /**
+     * 音量稳定性的文字描述
+     * @param {object} loudness - summarizeLoudness() 的结果
+     * @returns {string} 如 "稳定（响度范围 5.2 LU）"
+     */
+    static describeConsistency(loudness) {
+        const label = CONSISTENCY_LABELS[loudness.consistency];
+        return loudness.loudnessRange != null ? `${label}（响度范围 ${loudness.loudnessRange} LU）` : label;
+    }
+
+    /**
+     * 报告摘要（用于日志）
+     * @param {object} report - build() 的结果
+     * @returns {string}
+     */
+    static describe(report) {
+        if (report.silentOnly) return '整段都是静音，没有检测到说话';
+
+        const { duration, pauses, loudness } = report;
+        const seconds = (value) => (value != null ? `${value.toFixed(2)}秒` : '?');
+        const lufs = loudness.integrated != null ? `${loudness.integrated} LUFS` : '?';
+        return `演讲 ${seconds(duration.talk)}（说话 ${seconds(duration.speaking)}，停顿 ${seconds(duration.pauses)}），`
+            + `长停顿 ${pauses.longCount} 处，平均响度 ${lufs}，音量${this.describeConsistency(loudness)}，`
+            + `时长${this.describeTarget(report.target)}`;
+    }
+
+    /**
+     * 导出为JSON
+     * @param {object} report - build() 的结果
+     * @param {object} extra - 附加字段（如录制时间、文件名）
+     * @returns {string} 格式化的JSON
+     */
+    static toJSON(report, extra = {}) {
+        return JSON.stringify({ version: SPEECH_REPORT_VERSION, ...extra, ...report }, null, 2);
+    }
+}
+
+export default SpeechReport;
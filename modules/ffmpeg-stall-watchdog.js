@@ -0,0 +1,47 @@
+/**
+ * 卡死检测
+ * FFmpeg命令卡住时不会退出也不会报错，只是不再输出进度：
+ * 任务开始后每收到一次进度就重新计时，超过 timeout 秒没有进度时调用 onStall（由转换器终止任务）
+ */
+
+// 默认超时（秒）：分析、编码和校验期间FFmpeg每0.5秒左右报告一次进度
+export const DEFAULT_STALL_TIMEOUT = 60;
+
+export class FFmpegStallWatchdog {
+    /**
+     * @param {number} timeout - 没有进度的最长秒数，0或null表示不检测
+     * @param {Function} onStall - 判定卡住时调用（只调用一次），参数为超时秒数
+     */
+    constructor(timeout, onStall) {
+        this.timeout = timeout;
+        this.onStall = onStall;
+        this.timer = null;
+        this.active = false;
+    }
+
+    // 开始计时（Worker模式在拿到Worker后开始，排队等待的时间不计入）
+    start() {
+        if (!(this.timeout > 0)) return;
+        this.active = true;
+        this.touch();
+    }
+
+    // 收到进度，重新计时（未开始或已结束时忽略）
+    touch() {
+        if (!this.active) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.stop();
+            this.onStall(this.timeout);
+        }, this.timeout * 1000);
+    }
+
+    // 任务结束或已判定卡住，停止计时
+    stop() {
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+export default FFmpegStallWatchdog;
@@ -0,0 +1,1219 @@
+/**
+ * FFmpeg 任务执行器
+ * Worker模式和直接模式共用的任务流程：写入输入、探测、执行命令、读取输出
+ * 命令本身由 FFmpegCommandBuilder 构建，这里只负责在给定的FFmpeg实例上执行
+ * 输入Blob通过WORKERFS挂载，FFmpeg按需读取，不会把整个文件复制进内存文件系统
+ */
+
+import MediaProbe, { TRANSCODE_PLAN } from './ffmpeg-media-probe.js';
+import FFmpegCommandBuilder, {
+    TARGET_SIZE_LIMITS,
+    SEGMENT_FILES,
+    TRIM_FILES,
+    PALETTE_FILE,
+    FALLBACK_RUNGS,
+    FALLBACK_RUNG_LABELS,
+    DEFAULT_COMPOSITE_OPTIONS,
+    SLIDE_FILE_EXTENSIONS
+} from './ffmpeg-command-builder.js';
+import ConversionCancelledError from './ffmpeg-errors.js';
+import OutputValidator from './ffmpeg-output-validator.js';
+import TrimPlanner, { DEFAULT_AUTO_TRIM_OPTIONS } from './ffmpeg-trim-planner.js';
+import SilenceAnalyzer from './ffmpeg-silence-analyzer.js';
+import AudioEnhancer from './ffmpeg-audio-enhancer.js';
+import SpeechReport from './ffmpeg-speech-report.js';
+import SlideTimeline from './ffmpeg-slide-timeline.js';
+import OverlayStyle from './ffmpeg-overlay-style.js';
+
+// 输入文件的挂载目录（WORKERFS，只读）
+export const INPUT_MOUNT_POINT = '/input';
+
+export class FFmpegTasks {
+    /**
+     * @param {object} ffmpeg - 已加载的FFmpeg实例
+     * @param {object} hooks - { log: 日志回调, isCancelled: 返回是否已取消的函数 }
+     */
+    constructor(ffmpeg, { log = null, isCancelled = null } = {}) {
+        this.ffmpeg = ffmpeg;
+        this.logCallback = log;
+        this.isCancelled = isCancelled || (() => false);
+        this.analyzing = false; // 是否正在执行分析命令（见 execAnalysis），期间的进度事件应被忽略
+    }
+
+    /**
+     * 日志输出
+     * @param {string} message 日志消息
+     */
+    log(message) {
+        if (this.logCallback) this.logCallback(message);
+    }
+
+    /**
+     * 已取消时抛出 ConversionCancelledError，在每个耗时步骤之间调用
+     */
+    checkCancelled() {
+        if (this.isCancelled()) {
+            throw new ConversionCancelledError();
+        }
+    }
+
+    /**
+     * 删除临时文件（文件可能不存在，忽略错误）
+     * @param {string[]} files 文件名列表
+     */
+    async deleteFiles(files) {
+        for (const file of files) {
+            try {
+                await this.ffmpeg.deleteFile(file);
+            } catch (e) {
+                // 文件可能不存在，忽略错误
+            }
+        }
+    }
+
+    /**
+     * 准备输入文件：Blob/File 挂载到 INPUT_MOUNT_POINT（不复制数据），
+     * 核心不支持WORKERFS时读取后写入内存文件系统；Uint8Array 直接写入
+     * @param {Blob|Uint8Array} input 输入数据
+     * @param {string} name 文件名
+     * @returns {Promise<string>} FFmpeg命令中使用的输入路径，用完后交给 releaseInput
+     */
+    async prepareInput(input, name) {
+        const [inputPath] = await this.prepareInputs([{ name, data: input }]);
+        return inputPath;
+    }
+
+    /**
+     * 准备多个输入文件：全部是Blob时挂载到同一目录，否则逐个写入内存文件系统
+     * @param {{name: string, data: Blob|Uint8Array}[]} inputs 输入文件
+     * @returns {Promise<string[]>} 各文件的输入路径，用完后交给 releaseInputs
+     */
+    async prepareInputs(inputs) {
+        const isBlob = (data) => typeof Blob !== 'undefined' && data instanceof Blob;
+
+        if (inputs.every(input => isBlob(input.data))) {
+            if (await this.mountInputs(inputs)) {
+                return inputs.map(({ name }) => `${INPUT_MOUNT_POINT}/${name}`);
+            }
+            this.log('⚠️ 无法挂载WORKERFS，输入文件复制到内存文件系统');
+        }
+
+        for (const { name, data } of inputs) {
+            await this.ffmpeg.writeFile(name, isBlob(data) ? new Uint8Array(await data.arrayBuffer()) : data);
+        }
+        return inputs.map(({ name }) => name);
+    }
+
+    /**
+     * 通过WORKERFS挂载Blob
+     * @param {{name: string, data: Blob}[]} blobs 挂载后的文件名和数据
+     * @returns {Promise<boolean>} 是否挂载成功
+     */
+    async mountInputs(blobs) {
+        // 上一个任务异常结束时可能还留着挂载
+        await this.unmountInput();
+
+        try {
+            await this.ffmpeg.createDir(INPUT_MOUNT_POINT);
+        } catch (e) {
+            // 目录已存在，忽略错误
+        }
+
+        try {
+            return await this.ffmpeg.mount('WORKERFS', { blobs }, INPUT_MOUNT_POINT);
+        } catch (error) {
+            this.log(`⚠️ WORKERFS挂载失败: ${error.message || error}`);
+            return false;
+        }
+    }
+
+    /**
+     * 卸载输入目录（未挂载时忽略错误）
+     */
+    async unmountInput() {
+        try {
+            await this.ffmpeg.unmount(INPUT_MOUNT_POINT);
+        } catch (e) {
+            // 没有挂载，忽略错误
+        }
+    }
+
+    /**
+     * 释放 prepareInput 准备的输入文件
+     * @param {string} inputPath 输入路径
+     */
+    async releaseInput(inputPath) {
+        await this.releaseInputs([inputPath]);
+    }
+
+    /**
+     * 释放 prepareInputs 准备的输入文件
+     * @param {string[]} inputPaths 输入路径
+     */
+    async releaseInputs(inputPaths) {
+        if (inputPaths.some(inputPath => inputPath.startsWith(`${INPUT_MOUNT_POINT}/`))) {
+            await this.unmountInput();
+        } else {
+            await this.deleteFiles(inputPaths);
+        }
+    }
+
+    /**
+     * 执行FFmpeg命令并收集该命令的日志输出
+     * @param {string[]} command FFmpeg参数
+     * @returns {Promise<{exitCode: number, logOutput: string}>}
+     */
+    async execAndCaptureLogs(command) {
+        let logOutput = '';
+        const collectLog = ({ message }) => {
+            logOutput += message + '\n';
+        };
+
+        this.ffmpeg.on('log', collectLog);
+        try {
+            const exitCode = await this.ffmpeg.exec(command);
+            return { exitCode, logOutput };
+        } finally {
+            this.ffmpeg.off('log', collectLog);
+        }
+    }
+
+    /**
+     * 执行分析命令（探测、扫描、检测）并收集日志
+     * 这些命令也会输出time=进度，但不是编码进度：执行期间 analyzing 为true，进度上报方据此忽略，
+     * 否则单调的进度计算在分析扫描到结尾后会丢弃之后真正的编码进度
+     * @param {string[]} command FFmpeg参数
+     * @returns {Promise<{exitCode: number, logOutput: string}>}
+     */
+    async execAnalysis(command) {
+        this.analyzing = true;
+        try {
+            return await this.execAndCaptureLogs(command);
+        } finally {
+            this.analyzing = false;
+        }
+    }
+
+    /**
+     * 探测媒体信息；容器中没有时长时扫描一遍获取真实时长
+     * @param {string} inputFile 输入文件名
+     * @param {boolean} scanDuration 是否在缺少时长时扫描
+     * @returns {Promise<object>} 媒体信息
+     */
+    async probeMedia(inputFile, scanDuration = true) {
+        const { logOutput } = await this.execAnalysis(MediaProbe.getProbeCommand(inputFile));
+        const mediaInfo = MediaProbe.parseMediaInfo(logOutput);
+        mediaInfo.durationSource = 'container';
+
+        if (scanDuration && !(mediaInfo.duration > 0)) {
+            this.log('🔍 容器中没有时长信息，扫描媒体流获取真实时长...');
+            const scan = await this.execAnalysis(MediaProbe.getDurationScanCommand(inputFile));
+            mediaInfo.duration = MediaProbe.parseLastProgressTime(scan.logOutput);
+            mediaInfo.durationSource = 'scan';
+        }
+
+        return mediaInfo;
+    }
+
+    /**
+     * 探测输入文件的流编码并决定转换策略
+     * @param {string} inputFile 输入文件名
+     * @param {object} [mediaInfo] 已探测到的输入媒体信息，没有时重新探测
+     * @returns {Promise<object>} 转换策略
+     */
+    async planConversion(inputFile, mediaInfo = null) {
+        this.log('🔍 探测输入流编码...');
+        const { streams } = mediaInfo || await this.probeMedia(inputFile, false);
+        const plan = MediaProbe.planStreamCopy(streams);
+
+        const streamSummary = streams.map(stream => `${stream.type}=${stream.codec}`).join(', ') || '未知';
+        this.log(`🔍 输入流: ${streamSummary}`);
+        this.log(`🎯 转换策略: ${MediaProbe.describeStrategy(plan.strategy)}`);
+        return plan;
+    }
+
+    /**
+     * 获取输入的媒体信息（校验输出时使用）：调用方已探测过完整信息时直接使用
+     * @param {string} inputFile 输入文件名
+     * @param {object} [mediaInfo] 调用方提供的媒体信息
+     * @returns {Promise<object>} 媒体信息
+     */
+    async getInputInfo(inputFile, mediaInfo = null) {
+        if (mediaInfo && mediaInfo.duration > 0 && mediaInfo.streams) {
+            return mediaInfo;
+        }
+        return this.probeMedia(inputFile);
+    }
+
+    /**
+     * 校验输出文件：探测流和时长、扫描帧数、检查moov位置
+     * @param {string} outputFile 输出文件名
+     * @param {Uint8Array} data 已读取的输出数据
+     * @param {object} reference { input: 输入媒体信息, expectedDuration: 期望时长（秒），
+     *   expectedCodecs: 本次编码应输出的 { video, audio } 编码（默认H.264/AAC） }
+     * @returns {Promise<object>} 校验结果，见 OutputValidator.validate
+     */
+    async validateOutput(outputFile, data, { input = null, expectedDuration = null, expectedCodecs = null } = {}) {
+        this.log('🔎 校验输出文件...');
+        const output = await this.probeMedia(outputFile, false);
+
+        const scan = await this.execAnalysis(MediaProbe.getDurationScanCommand(outputFile));
+        if (!(output.duration > 0)) {
+            output.duration = MediaProbe.parseLastProgressTime(scan.logOutput);
+        }
+
+        const validation = OutputValidator.validate({
+            output,
+            input,
+            expectedDuration,
+            frameCount: MediaProbe.parseLastFrameCount(scan.logOutput),
+            faststart: OutputValidator.isFastStart(data)
+        }, expectedCodecs ? { videoCodec: expectedCodecs.video, audioCodec: expectedCodecs.audio } : {});
+
+        validation.errors.forEach(({ message }) => this.log(`❌ [校验] ${message}`));
+        validation.warnings.forEach(({ message }) => this.log(`⚠️ [校验] ${message}`));
+        if (validation.valid && validation.warnings.length === 0) {
+            const { videoCodec, audioCodec, duration, frameCount } = validation.details;
+            this.log(`✅ [校验] 输出正常: ${videoCodec}/${audioCodec}, ${duration.toFixed(2)}秒, ${frameCount} 帧`);
+        }
+
+        return validation;
+    }
+
+    /**
+     * 扫描视频关键帧的时间
+     * @param {string} inputFile 输入文件名
+     * @returns {Promise<number[]>} 关键帧时间（秒）
+     */
+    async scanKeyframes(inputFile) {
+        const { logOutput } = await this.execAnalysis(MediaProbe.getKeyframeScanCommand(inputFile));
+        return MediaProbe.parseKeyframeTimes(logOutput);
+    }
+
+    /**
+     * 场景检测：推断视频实际的开始和结束时间（跳过静止的开头和结尾）
+     * @param {string} inputFile 输入文件路径
+     * @param {number|null} duration 输入时长（秒），未知时不检测结尾
+     * @param {object} settings 见 DEFAULT_AUTO_TRIM_OPTIONS，另有 detectStart / detectEnd
+     * @returns {Promise<{start: number, end: number|null}>} 内容范围，检测失败时不裁剪
+     */
+    async detectContentRange(inputFile, duration, settings = {}) {
+        const { sceneThreshold } = { ...DEFAULT_AUTO_TRIM_OPTIONS, ...settings };
+        this.log(`🔍 [场景检测] 分析场景变化（阈值 ${sceneThreshold}）...`);
+
+        try {
+            const command = FFmpegCommandBuilder.buildSceneDetectCommand(inputFile, sceneThreshold);
+            const { exitCode, logOutput } = await this.execAnalysis(command);
+            if (exitCode !== 0) {
+                throw new Error(`退出码 ${exitCode}: ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+            }
+
+            const sceneTimes = MediaProbe.parseShowinfoTimes(logOutput);
+            if (sceneTimes.length > 0) {
+                const first = sceneTimes[0].toFixed(2);
+                const last = sceneTimes[sceneTimes.length - 1].toFixed(2);
+                this.log(`🎯 [场景检测] 发现 ${sceneTimes.length} 个场景变化，第一个 ${first}秒，最后一个 ${last}秒`);
+            } else {
+                this.log('📹 [场景检测] 未检测到场景变化');
+            }
+
+            return TrimPlanner.detectContentRange(sceneTimes, duration, settings);
+        } catch (error) {
+            this.checkCancelled();
+            this.log(`⚠️ [场景检测] 检测失败: ${error.message}，不自动裁剪`);
+            return { start: 0, end: null };
+        }
+    }
+
+    /**
+     * 静音检测：找出开头静音、结尾静音和中间的停顿
+     * @param {string} inputFile 输入文件路径
+     * @param {object} inputInfo 输入的媒体信息（时长和流）
+     * @param {object} settings 见 DEFAULT_SILENCE_OPTIONS
+     * @returns {Promise<object|null>} 分析结果（见 SilenceAnalyzer.analyze），没有音频流时返回null
+     */
+    async detectSilences(inputFile, inputInfo, settings = {}) {
+        if (!MediaProbe.getStream(inputInfo, 'audio')) {
+            this.log('🔇 输入没有音频流，跳过静音检测');
+            return null;
+        }
+
+        this.log('🔇 检测静音...');
+        const { exitCode, logOutput } = await this.execAnalysis(FFmpegCommandBuilder.buildSilenceDetectCommand(inputFile, settings));
+        if (exitCode !== 0) {
+            throw new Error(`静音检测失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+        }
+
+        const analysis = SilenceAnalyzer.analyze(MediaProbe.parseSilences(logOutput), inputInfo.duration, settings);
+        const describe = (item) => (item ? `${item.duration != null ? item.duration.toFixed(2) : '?'}秒` : '无');
+        this.log(`🔇 开头静音 ${describe(analysis.leading)}，结尾静音 ${describe(analysis.trailing)}，停顿 ${analysis.pauses.length} 处`);
+        return analysis;
+    }
+
+    /**
+     * 静音裁剪：按静音检测结果把首尾静音和过长的停顿加入 cuts
+     * @param {string} inputFile 输入文件路径
+     * @param {object} inputInfo 输入的媒体信息
+     * @param {object} options 任务参数（trimSilence、maxPause 及静音检测参数，见 DEFAULT_SILENCE_OPTIONS）
+     * @returns {Promise<object>} 加入了静音区间的任务参数，不需要裁剪时原样返回
+     */
+    async applySilenceTrim(inputFile, inputInfo, options) {
+        this.checkCancelled();
+        const analysis = await this.detectSilences(inputFile, inputInfo, options);
+        if (!analysis) return options;
+
+        if (analysis.silentOnly) {
+            this.log('⚠️ 整段都是静音，不做静音裁剪');
+            return options;
+        }
+
+        const cuts = SilenceAnalyzer.planCuts(analysis, { ...options, trimEdges: !!options.trimSilence });
+        if (cuts.length === 0) {
+            this.log('🔇 没有需要剪掉的静音');
+            return options;
+        }
+
+        this.log(`✂️ 静音裁剪: 剪掉 ${cuts.length} 处，共约 ${SilenceAnalyzer.getCutDuration(cuts).toFixed(2)}秒`);
+        return { ...options, cuts: [...(options.cuts || []), ...cuts] };
+    }
+
+    /**
+     * 测量响度
+     * @param {string} file 文件路径
+     * @param {string} audioFilter 以loudnorm（print_format=json）结尾的滤镜
+     * @param {object|null} trimFilter 重编码裁剪（见 prepareTrim），设置时只测量保留区间
+     * @returns {Promise<object|null>} 测量值，见 MediaProbe.parseLoudnormStats
+     */
+    async measureLoudness(file, audioFilter, trimFilter = null) {
+        const { exitCode, logOutput } = await this.execAnalysis(FFmpegCommandBuilder.buildLoudnessMeasureCommand(file, audioFilter, trimFilter));
+        if (exitCode !== 0) {
+            throw new Error(`响度测量失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+        }
+        return MediaProbe.parseLoudnormStats(logOutput);
+    }
+
+    /**
+     * 准备音频增强：测量输入响度（裁剪、高通/降噪后，即loudnorm实际处理的信号），构建处理链
+     * @param {string} inputFile 输入文件路径
+     * @param {object} options 音频增强参数，见 DEFAULT_AUDIO_ENHANCE_OPTIONS
+     * @param {object} inputInfo 输入的媒体信息
+     * @param {object|null} trimFilter 编码时使用的重编码裁剪（见 prepareTrim），测量同样只包含保留区间
+     * @returns {Promise<{settings: object, before: object|null, filter: string}|null>}
+     *   处理链（-af 使用）和输入的测量值，输入没有音频时返回null
+     */
+    async prepareAudioEnhancement(inputFile, options, inputInfo, trimFilter = null) {
+        if (!MediaProbe.getStream(inputInfo, 'audio')) {
+            this.log('🔊 输入没有音频流，跳过音频增强');
+            return null;
+        }
+
+        const settings = AudioEnhancer.resolve(options);
+        this.log(`🔊 音频增强: ${AudioEnhancer.describe(settings)}`);
+
+        const preFilter = AudioEnhancer.getPreFilter(settings);
+        const measureFilter = AudioEnhancer.getLoudnormFilter(settings, null, { printStats: true });
+        let before = null;
+        try {
+            this.checkCancelled();
+            before = await this.measureLoudness(inputFile, preFilter ? `${preFilter},${measureFilter}` : measureFilter, trimFilter);
+            this.log(`🔊 输入响度${preFilter ? '（高通/降噪后）' : ''}: ${AudioEnhancer.describeLoudness(before)}`);
+        } catch (error) {
+            this.checkCancelled();
+            this.log(`⚠️ ${error.message}`);
+        }
+
+        if (settings.loudnorm && !AudioEnhancer.isValidMeasurement(before)) {
+            this.log('⚠️ 无法测量响度（可能整段静音），改用单遍动态标准化');
+        }
+
+        return { settings, before, filter: AudioEnhancer.buildFilterChain(settings, before) };
+    }
+
+    /**
+     * 测量输出响度，记录处理前后的变化
+     * @param {string} outputFile 输出文件路径
+     * @param {object} enhancement prepareAudioEnhancement 的结果
+     * @returns {Promise<{filter: string, before: object|null, after: object|null}>} 音频增强报告
+     */
+    async reportLoudness(outputFile, { settings, before, filter }) {
+        let after = null;
+        try {
+            this.checkCancelled();
+            after = await this.measureLoudness(outputFile, AudioEnhancer.getLoudnormFilter(settings, null, { printStats: true }));
+            this.log(`🔊 输出响度: ${AudioEnhancer.describeLoudness(after)}`);
+        } catch (error) {
+            this.checkCancelled();
+            this.log(`⚠️ ${error.message}`);
+        }
+
+        if (before && after && Number.isFinite(before.integrated) && Number.isFinite(after.integrated)) {
+            this.log(`🔊 响度: ${before.integrated.toFixed(1)} LUFS → ${after.integrated.toFixed(1)} LUFS`);
+        }
+        return { filter, before, after };
+    }
+
+    /**
+     * 准备裁剪：计算保留区间；允许复制且每个区间都从关键帧开始时流复制出裁剪后的文件，
+     * 否则返回重编码时使用的裁剪滤镜（见 FFmpegCommandBuilder.applyTrimFilter）
+     * @param {string} inputFile 输入文件路径
+     * @param {object} options { trim, cuts }（见 TrimPlanner.resolveRanges）
+     * @param {object} inputInfo 输入的媒体信息（时长和流）
+     * @param {object} settings { allowCopy: 是否尝试流复制 }
+     * @returns {Promise<{ranges: object[], duration: number|null, file: string, trimFilter: object|null, tempFiles: string[]}>}
+     *   file为之后使用的输入文件，tempFiles为用完后需要删除的中间文件
+     */
+    async prepareTrim(inputFile, options, inputInfo, { allowCopy = true } = {}) {
+        const ranges = TrimPlanner.resolveRanges(options, inputInfo.duration);
+        const duration = TrimPlanner.getTotalDuration(ranges, inputInfo.duration);
+        this.log(`✂️ 保留区间: ${TrimPlanner.describe(ranges)}${duration ? `（共 ${duration.toFixed(2)}秒）` : ''}`);
+
+        if (allowCopy) {
+            this.checkCancelled();
+            const keyframes = await this.scanKeyframes(inputFile);
+            if (TrimPlanner.canStreamCopy(ranges, keyframes)) {
+                this.log('✂️ 区间都从关键帧开始，使用流复制裁剪');
+                const { file, tempFiles } = await this.cutByStreamCopy(inputFile, ranges);
+                return { ranges, duration, file, trimFilter: null, tempFiles };
+            }
+            this.log('✂️ 区间开头不在关键帧上，重编码裁剪以保证精确');
+        }
+
+        const hasAudio = !!MediaProbe.getStream(inputInfo, 'audio');
+        return { ranges, duration, file: inputFile, trimFilter: { ranges, hasAudio }, tempFiles: [] };
+    }
+
+    /**
+     * 流复制裁剪：逐个区间复制，多个区间再用concat分离器拼接
+     * @param {string} inputFile 输入文件路径
+     * @param {{start: number, end: number|null}[]} ranges 保留区间（开头都在关键帧上）
+     * @returns {Promise<{file: string, tempFiles: string[]}>} 裁剪后的文件和需要删除的中间文件
+     */
+    async cutByStreamCopy(inputFile, ranges) {
+        const parts = ranges.map((range, index) => FFmpegCommandBuilder.getTrimPartFile(index));
+        const tempFiles = [...parts, TRIM_FILES.list, TRIM_FILES.output];
+
+        try {
+            for (let index = 0; index < ranges.length; index++) {
+                this.checkCancelled();
+                const command = FFmpegCommandBuilder.buildTrimCopyCommand(ranges[index], { input: inputFile, output: parts[index] });
+                const { exitCode, logOutput } = await this.execAndCaptureLogs(command);
+                if (exitCode !== 0) {
+                    throw new Error(`裁剪失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+                }
+            }
+
+            if (parts.length === 1) {
+                return { file: parts[0], tempFiles };
+            }
+
+            await this.ffmpeg.writeFile(TRIM_FILES.list, FFmpegCommandBuilder.buildConcatList(parts.map(file => `/${file}`)));
+            const exitCode = await this.ffmpeg.exec(FFmpegCommandBuilder.buildConcatCommand({
+                list: TRIM_FILES.list,
+                output: TRIM_FILES.output,
+                format: 'matroska'
+            }));
+            if (exitCode !== 0) {
+                throw new Error(`裁剪片段拼接失败 (退出码 ${exitCode})`);
+            }
+
+            // 拼接后片段不再需要
+            await this.deleteFiles(parts);
+            return { file: TRIM_FILES.output, tempFiles };
+        } catch (error) {
+            await this.deleteFiles(tempFiles);
+            throw error;
+        }
+    }
+
+    /**
+     * 探测任务
+     * @param {Blob|Uint8Array} input 输入文件
+     * @returns {Promise<object>} 媒体信息
+     */
+    async probe(input) {
+        this.log('🔍 开始探测媒体信息...');
+        const inputFile = await this.prepareInput(input, 'input.webm');
+        try {
+            return await this.probeMedia(inputFile);
+        } finally {
+            await this.releaseInput(inputFile);
+        }
+    }
+
+    /**
+     * 静音分析任务
+     * @param {Blob|Uint8Array} input 输入文件
+     * @param {object} options 静音检测参数，见 DEFAULT_SILENCE_OPTIONS
+     * @returns {Promise<object>} 分析结果，见 SilenceAnalyzer.analyze
+     */
+    async analyzeSilence(input, options = {}) {
+        this.log('🔇 开始静音分析...');
+        const inputFile = await this.prepareInput(input, 'input.webm');
+        try {
+            const analysis = await this.detectSilences(inputFile, await this.probeMedia(inputFile), options);
+            if (!analysis) {
+                throw new Error('输入没有音频流，无法检测静音');
+            }
+            return analysis;
+        } finally {
+            await this.releaseInput(inputFile);
+        }
+    }
+
+    /**
+     * 演讲分析任务：一遍扫描音频得到停顿、电平和响度，生成演讲报告
+     * @param {Blob|Uint8Array} input 输入文件
+     * @param {object} options 静音检测参数（见 DEFAULT_SILENCE_OPTIONS）和报告参数（见 DEFAULT_SPEECH_REPORT_OPTIONS）
+     * @returns {Promise<{analysis: object, report: object}>} 静音分析（见 SilenceAnalyzer.analyze）和报告（见 SpeechReport.build）
+     */
+    async analyzeSpeech(input, options = {}) {
+        this.log('🎤 开始演讲分析...');
+        const inputFile = await this.prepareInput(input, 'input.webm');
+        try {
+            const inputInfo = await this.probeMedia(inputFile, false);
+            if (!MediaProbe.getStream(inputInfo, 'audio')) {
+                throw new Error('输入没有音频流，无法分析演讲');
+            }
+
+            this.checkCancelled();
+            const { exitCode, logOutput } = await this.execAnalysis(FFmpegCommandBuilder.buildSpeechAnalysisCommand(inputFile, options));
+            if (exitCode !== 0) {
+                throw new Error(`演讲分析失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+            }
+
+            // 容器中没有时长时使用扫描到的最后进度时间，省去单独的时长扫描
+            const duration = inputInfo.duration > 0 ? inputInfo.duration : MediaProbe.parseLastProgressTime(logOutput);
+            const analysis = SilenceAnalyzer.analyze(MediaProbe.parseSilences(logOutput), duration, options);
+            const report = SpeechReport.build({
+                analysis,
+                levels: MediaProbe.parseAstatsOverall(logOutput),
+                loudness: MediaProbe.parseEbur128Summary(logOutput)
+            }, options);
+
+            this.log(`🎤 ${SpeechReport.describe(report)}`);
+            return { analysis, report };
+        } finally {
+            await this.releaseInput(inputFile);
+        }
+    }
+
+    /**
+     * 按回退阶梯转换：从第一个可用的级别开始，失败时删除不完整的输出并尝试下一级
+     * @param {object} plan 探测得到的转换策略（transcode时跳过remux级）
+     * @param {object} options 编码参数（fallbackRungs —— 可选，限制可用的级别；videoOnly —— 只编码视频）
+     * @param {string} inputFile 输入文件路径
+     * @returns {Promise<{plan: object, fallback: {rung: string, attempts: object[], codecs: object}}>}
+     *   实际使用的策略；fallback记录成功的级别、每个失败级别的退出码和FFmpeg错误信息、输出的编码
+     */
+    async runFallbackLadder(plan, options, inputFile) {
+        const allowed = options.fallbackRungs || FALLBACK_RUNGS;
+        const rungs = FALLBACK_RUNGS.filter(rung => allowed.includes(rung) && (rung !== 'remux' || plan.strategy !== 'transcode'));
+        const attempts = [];
+        // videoOnly：分段转换的片段只编码视频，音频在拼接时统一编码
+        const transcodePlan = options.videoOnly ? { ...TRANSCODE_PLAN, audio: 'none' } : TRANSCODE_PLAN;
+
+        for (const rung of rungs) {
+            this.checkCancelled();
+            const rungPlan = rung === 'remux' ? plan : transcodePlan;
+            this.log(`🪜 [${rung}] 尝试 ${FALLBACK_RUNG_LABELS[rung]}...`);
+
+            const command = FFmpegCommandBuilder.buildFallbackCommand(rung, rungPlan, options, { input: inputFile });
+            const { exitCode, logOutput } = await this.execAndCaptureLogs(command);
+
+            if (exitCode === 0) {
+                const codecs = await this.probeOutputCodecs('output.mp4');
+                this.log(`🪜 [${rung}] 成功，输出编码: 视频=${codecs.video || '无'}, 音频=${codecs.audio || '无'}`);
+                return { plan: { ...rungPlan }, fallback: { rung, attempts, codecs } };
+            }
+
+            const error = MediaProbe.extractErrorText(logOutput);
+            attempts.push({ rung, exitCode, error });
+            this.log(`⚠️ [${rung}] 失败 (退出码 ${exitCode})，尝试下一级: ${error.split('\n').pop()}`);
+            await this.deleteFiles(['output.mp4']);
+        }
+
+        const error = new Error(`所有编码方式均失败 (${attempts.map(attempt => attempt.rung).join(' → ')})`);
+        error.fallback = { rung: null, attempts, codecs: null };
+        throw error;
+    }
+
+    /**
+     * 探测输出文件的视频/音频编码
+     * @param {string} file 文件名
+     * @returns {Promise<{video: string|null, audio: string|null}>}
+     */
+    async probeOutputCodecs(file) {
+        return this.getStreamCodecs(await this.probeMedia(file, false));
+    }
+
+    /**
+     * 媒体信息中的视频/音频编码
+     * @param {object|null} mediaInfo 媒体信息（MediaProbe.parseMediaInfo）
+     * @returns {{video: string|null, audio: string|null}}
+     */
+    getStreamCodecs(mediaInfo) {
+        const codecOf = (type) => {
+            const stream = MediaProbe.getStream(mediaInfo, type);
+            return stream ? stream.codec : null;
+        };
+        return { video: codecOf('video'), audio: codecOf('audio') };
+    }
+
+    /**
+     * 按目标文件大小编码（码率控制，可选两遍编码）
+     * 结果超出目标时按超出比例降低视频码率重试一次
+     * @param {string} inputFile 输入文件名
+     * @param {object} options 编码参数（需包含targetSizeBytes，可选twoPass、mediaInfo）
+     * @returns {Promise<{data: Uint8Array, plan: object, targetSize: object}>}
+     */
+    async convertToTargetSize(inputFile, options) {
+        const resolved = FFmpegCommandBuilder.resolveEncodeOptions(options);
+        const { targetSizeBytes, twoPass } = resolved;
+        const maxAttempts = 2;
+
+        let duration = resolved.mediaInfo ? resolved.mediaInfo.duration : null;
+        if (!(duration > 0)) {
+            duration = (await this.probeMedia(inputFile)).duration;
+        }
+
+        const bitrates = FFmpegCommandBuilder.computeTargetBitrates(targetSizeBytes, duration, resolved.audioBitrate);
+        if (!bitrates.achievable) {
+            this.log(`⚠️ 目标大小过小：${duration.toFixed(2)}秒视频即使使用最低码率也可能超出目标`);
+        }
+
+        let videoBitrate = bitrates.videoBitrate;
+        for (let attempt = 1; ; attempt++) {
+            this.checkCancelled();
+            this.log(`🎯 目标大小 ${targetSizeBytes} bytes: 视频 ${Math.round(videoBitrate / 1000)}kbps, 音频 ${Math.round(bitrates.audioBitrate / 1000)}kbps${twoPass ? '，两遍编码' : ''} (第${attempt}次)`);
+
+            const encodeOptions = {
+                ...options,
+                videoBitrate,
+                audioBitrate: bitrates.audioBitrate.toString()
+            };
+
+            try {
+                if (twoPass) {
+                    this.log('🔍 第一遍：分析视频复杂度...');
+                    const firstPassExitCode = await this.ffmpeg.exec(FFmpegCommandBuilder.buildFirstPassCommand(encodeOptions, { input: inputFile }));
+                    if (firstPassExitCode !== 0) {
+                        throw new Error(`两遍编码第一遍失败 (退出码 ${firstPassExitCode})`);
+                    }
+                    this.checkCancelled();
+                    encodeOptions.pass = 2;
+                    this.log('🔧 第二遍：按码率编码...');
+                }
+
+                const exitCode = await this.ffmpeg.exec(FFmpegCommandBuilder.buildConvertCommand(TRANSCODE_PLAN, encodeOptions, { input: inputFile }));
+                if (exitCode !== 0) {
+                    throw new Error(`目标大小编码失败 (退出码 ${exitCode})`);
+                }
+            } finally {
+                await this.deleteFiles(FFmpegCommandBuilder.getPassLogFiles());
+            }
+
+            const data = await this.ffmpeg.readFile('output.mp4');
+            const withinTarget = data.length <= targetSizeBytes;
+            this.log(`📏 输出大小 ${data.length} bytes，目标的 ${(data.length / targetSizeBytes * 100).toFixed(1)}%`);
+
+            const canRetry = attempt < maxAttempts && videoBitrate > TARGET_SIZE_LIMITS.minVideoBitrate;
+            if (withinTarget || !canRetry) {
+                if (!withinTarget) {
+                    this.log('⚠️ 输出仍超出目标大小');
+                }
+                return {
+                    data,
+                    plan: { ...TRANSCODE_PLAN },
+                    targetSize: {
+                        targetBytes: targetSizeBytes,
+                        actualBytes: data.length,
+                        videoBitrate,
+                        audioBitrate: bitrates.audioBitrate,
+                        twoPass,
+                        attempts: attempt,
+                        withinTarget
+                    }
+                };
+            }
+
+            // 超出目标：按超出比例降低视频码率，并留5%余量
+            const overshoot = data.length / targetSizeBytes;
+            videoBitrate = Math.max(Math.floor(videoBitrate / overshoot * 0.95), TARGET_SIZE_LIMITS.minVideoBitrate);
+            this.log(`⚠️ 超出目标 ${((overshoot - 1) * 100).toFixed(1)}%，降低码率重新编码...`);
+            await this.deleteFiles(['output.mp4']);
+        }
+    }
+
+    /**
+     * WebM到MP4转换任务
+     * @param {Blob|Uint8Array} input 输入文件
+     * @param {object} options 编码参数（见 FFmpegCommandBuilder.resolveEncodeOptions；
+     *   设置targetSizeBytes时按目标大小编码，见 convertToTargetSize；
+     *   trim/cuts 设置保留和剪掉的区间，见 prepareTrim；
+     *   trimSilence/maxPause 去掉首尾静音、缩短过长的停顿，见 applySilenceTrim；
+     *   audioEnhance 音频增强（高通、降噪、响度标准化、限幅），见 prepareAudioEnhancement）
+     * @returns {Promise<{data: Uint8Array, plan: object, fallback?: object, targetSize?: object, validation?: object, audioEnhance?: object}>}
+     *   输出数据、实际使用的策略、回退阶梯报告（见 runFallbackLadder）、目标大小报告、输出校验结果及音频增强报告（见 reportLoudness）
+     */
+    async convert(input, options = {}) {
+        const { fastMode, targetSizeBytes, validateOutput } = FFmpegCommandBuilder.resolveEncodeOptions(options);
+
+        this.log('开始转换 WebM 到 MP4...');
+        this.checkCancelled();
+        const inputFile = await this.prepareInput(input, 'input.webm');
+
+        const silenceTrim = SilenceAnalyzer.hasSilenceTrim(options);
+        // 只编码视频的片段（分段转换）不处理音频，音频增强在拼接时对完整音频进行
+        const enhancing = !options.videoOnly && AudioEnhancer.isEnabled(options.audioEnhance);
+        let trimming = TrimPlanner.hasTrim(options);
+        let tempFiles = [];
+
+        try {
+            // 校验需要输入的时长和音频信息，裁剪需要时长，音频增强需要知道有没有音频
+            const needsInfo = validateOutput || trimming || silenceTrim || enhancing;
+            const inputInfo = needsInfo ? await this.getInputInfo(inputFile, options.mediaInfo) : null;
+            if (silenceTrim) {
+                options = await this.applySilenceTrim(inputFile, inputInfo, options);
+                trimming = TrimPlanner.hasTrim(options);
+            }
+
+            let sourceFile = inputFile;
+            let encodeOptions = options;
+            let expectedDuration = null;
+            let result;
+
+            if (trimming) {
+                // 只有快速模式可能直接复制，其余情况本来就要重编码，直接用滤镜精确裁剪
+                const trim = await this.prepareTrim(inputFile, options, inputInfo, { allowCopy: fastMode && !targetSizeBytes });
+                sourceFile = trim.file;
+                tempFiles = trim.tempFiles;
+                expectedDuration = trim.duration;
+                // 目标大小按裁剪后的时长计算码率
+                encodeOptions = {
+                    ...options,
+                    trimFilter: trim.trimFilter,
+                    mediaInfo: inputInfo ? { ...inputInfo, duration: trim.duration } : null
+                };
+            }
+
+            // 音频增强：测量裁剪后的输入响度（流复制裁剪的文件，或用同样的裁剪滤镜），处理链作为音频滤镜
+            let enhancement = null;
+            if (enhancing) {
+                enhancement = await this.prepareAudioEnhancement(sourceFile, options.audioEnhance, inputInfo, encodeOptions.trimFilter);
+                if (enhancement) encodeOptions = { ...encodeOptions, audioFilter: enhancement.filter };
+            }
+
+            if (targetSizeBytes) {
+                // 目标大小模式：必须重编码才能控制码率
+                result = await this.convertToTargetSize(sourceFile, encodeOptions);
+            } else {
+                // 快速模式：先探测编码，能复制的流直接复制
+                let plan = TRANSCODE_PLAN;
+                if (encodeOptions.trimFilter) {
+                    this.log('裁剪需要重编码...');
+                } else if (fastMode) {
+                    plan = await this.planConversion(sourceFile, inputInfo);
+                    if (encodeOptions.audioFilter && plan.audio === 'copy') {
+                        plan = MediaProbe.requireAudioTranscode(plan);
+                        this.log(`🔊 音频增强需要重编码音频，改用: ${MediaProbe.describeStrategy(plan.strategy)}`);
+                    }
+                } else {
+                    this.log('使用重编码模式确保MP4兼容性...');
+                }
+
+                this.checkCancelled();
+                const ladder = await this.runFallbackLadder(plan, encodeOptions, sourceFile);
+                this.checkCancelled();
+                this.log(`${MediaProbe.describeStrategy(ladder.plan.strategy)}完成`);
+
+                result = { data: await this.ffmpeg.readFile('output.mp4'), ...ladder };
+            }
+
+            if (enhancement) {
+                result.audioEnhance = await this.reportLoudness('output.mp4', enhancement);
+            }
+
+            if (validateOutput) {
+                this.checkCancelled();
+                // 回退阶梯的结果按实际使用的级别和策略校验编码（复制的流保持输入的编码），目标大小模式总是H.264/AAC
+                const expectedCodecs = result.fallback
+                    ? FFmpegCommandBuilder.getRungCodecs(result.fallback.rung, result.plan, this.getStreamCodecs(inputInfo))
+                    : null;
+                result.validation = await this.validateOutput('output.mp4', result.data, { input: inputInfo, expectedDuration, expectedCodecs });
+            }
+            return result;
+        } finally {
+            await this.releaseInput(inputFile);
+            await this.deleteFiles(['output.mp4', ...tempFiles]);
+        }
+    }
+
+    /**
+     * 切分任务：流复制，在关键帧处切成约segmentDuration秒的片段
+     * @param {Blob|Uint8Array} input 输入文件
+     * @param {number} segmentDuration 每段时长（秒）
+     * @returns {Promise<{data: Uint8Array, start: number, end: number}[]>} 按顺序排列的片段
+     */
+    async split(input, segmentDuration) {
+        this.log(`✂️ 按 ${segmentDuration} 秒在关键帧处切分输入...`);
+        this.checkCancelled();
+        const inputFile = await this.prepareInput(input, 'input.webm');
+        let segmentList = [];
+
+        try {
+            const exitCode = await this.ffmpeg.exec(FFmpegCommandBuilder.buildSegmentCommand(segmentDuration, { input: inputFile }));
+            if (exitCode !== 0) {
+                throw new Error(`切分失败 (退出码 ${exitCode})`);
+            }
+
+            segmentList = FFmpegCommandBuilder.parseSegmentList(await this.ffmpeg.readFile(SEGMENT_FILES.list, 'utf8'));
+            if (segmentList.length === 0) {
+                throw new Error('切分失败：没有生成片段');
+            }
+
+            const segments = [];
+            for (const { file, start, end } of segmentList) {
+                segments.push({ data: await this.ffmpeg.readFile(file), start, end });
+                // 读出后立即删除，内存文件系统中不同时保留所有片段
+                await this.deleteFiles([file]);
+            }
+
+            this.log(`✂️ 切分为 ${segments.length} 段`);
+            return segments;
+        } finally {
+            await this.releaseInput(inputFile);
+            await this.deleteFiles([SEGMENT_FILES.list, ...segmentList.map(({ file }) => file)]);
+        }
+    }
+
+    /**
+     * 拼接任务：concat分离器流复制视频，不重编码（各片段必须使用相同的编码参数）
+     * @param {(Blob|Uint8Array)[]} parts 按顺序排列的MP4片段
+     * @param {object} options { audioSource: 完整输入（片段只含视频时从中一次编码音频）,
+     *   audioOptions: 音频编码参数（可带audioEnhance，对完整音频测量响度和处理）,
+     *   expectedDuration: 各片段总时长（秒），用于校验输出；validateOutput: 是否校验；
+     *   expectedCodecs: 输出应有的 { video, audio } 编码（视频流复制拼接后应保持片段的编码，默认H.264/AAC） }
+     * @returns {Promise<{data: Uint8Array, validation?: object, audioEnhance?: object}>} 输出数据、校验结果及音频增强报告
+     */
+    async concat(parts, { audioSource = null, audioOptions = {}, expectedDuration = null, validateOutput = true, expectedCodecs = null } = {}) {
+        this.log(`🔗 拼接 ${parts.length} 个片段${audioSource ? '，音频从完整输入统一编码' : ''}...`);
+        this.checkCancelled();
+
+        const inputs = parts.map((data, index) => ({
+            name: `part_${String(index).padStart(3, '0')}.mp4`,
+            data
+        }));
+        if (audioSource) {
+            inputs.push({ name: 'input.webm', data: audioSource });
+        }
+        const inputFiles = await this.prepareInputs(inputs);
+        const partFiles = audioSource ? inputFiles.slice(0, -1) : inputFiles;
+
+        try {
+            // concat分离器按列表文件所在目录解析相对路径，统一使用绝对路径
+            const paths = partFiles.map(file => (file.startsWith('/') ? file : `/${file}`));
+            await this.ffmpeg.writeFile(SEGMENT_FILES.concatList, FFmpegCommandBuilder.buildConcatList(paths));
+
+            // 音频增强对完整音频测量和处理，各段响度一致
+            const audioFile = audioSource ? inputFiles[inputFiles.length - 1] : null;
+            let enhancement = null;
+            if (audioFile && AudioEnhancer.isEnabled(audioOptions.audioEnhance)) {
+                const audioInfo = await this.probeMedia(audioFile, false);
+                enhancement = await this.prepareAudioEnhancement(audioFile, audioOptions.audioEnhance, audioInfo);
+            }
+
+            this.checkCancelled();
+            const exitCode = await this.ffmpeg.exec(FFmpegCommandBuilder.buildConcatCommand(
+                { audioInput: audioFile },
+                enhancement ? { ...audioOptions, audioFilter: enhancement.filter } : audioOptions
+            ));
+            if (exitCode !== 0) {
+                throw new Error(`拼接失败 (退出码 ${exitCode})`);
+            }
+
+            const data = await this.ffmpeg.readFile(SEGMENT_FILES.output);
+            this.log(`🔗 拼接完成: ${data.length} bytes`);
+
+            const result = { data };
+            if (enhancement) {
+                result.audioEnhance = await this.reportLoudness(SEGMENT_FILES.output, enhancement);
+            }
+            if (validateOutput) {
+                result.validation = await this.validateOutput(SEGMENT_FILES.output, data, { expectedDuration, expectedCodecs });
+            }
+            return result;
+        } finally {
+            await this.releaseInputs(inputFiles);
+            await this.deleteFiles([SEGMENT_FILES.concatList, SEGMENT_FILES.output]);
+        }
+    }
+
+    /**
+     * 音频导出任务：只保留第一条音频流，编码为指定格式
+     * @param {Blob|Uint8Array} input 输入文件
+     * @param {object} options 导出参数 { format, sampleRate, channels, bitrate }（见 DEFAULT_AUDIO_EXTRACT_OPTIONS）
+     * @returns {Promise<{data: Uint8Array, format: string, extension: string, mimeType: string}>} 输出数据及格式信息
+     */
+    async extractAudio(input, options = {}) {
+        // 先检查参数，避免无效格式时还要挂载输入
+        const { format, spec } = FFmpegCommandBuilder.resolveAudioExtractOptions(options);
+        const outputFile = `audio.${spec.extension}`;
+
+        this.log(`🎵 开始导出音频 (${spec.label})...`);
+        this.checkCancelled();
+        const inputFile = await this.prepareInput(input, 'input.webm');
+
+        try {
+            const { streams } = await this.probeMedia(inputFile, false);
+            if (!streams.some(stream => stream.type === 'audio')) {
+                throw new Error('输入没有音频流');
+            }
+
+            this.checkCancelled();
+            const command = FFmpegCommandBuilder.buildExtractAudioCommand(options, { input: inputFile, output: outputFile });
+            const { exitCode, logOutput } = await this.execAndCaptureLogs(command);
+            if (exitCode !== 0) {
+                throw new Error(`音频导出失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+            }
+
+            const data = await this.ffmpeg.readFile(outputFile);
+            this.log(`🎵 音频导出完成: ${data.length} bytes`);
+            return { data, format, extension: spec.extension, mimeType: spec.mimeType };
+        } finally {
+            await this.releaseInput(inputFile);
+            await this.deleteFiles([outputFile]);
+        }
+    }
+
+    /**
+     * 动图任务：palettegen生成调色板，paletteuse按调色板编码为GIF或动态WebP
+     * @param {Blob|Uint8Array} input 输入文件
+     * @param {object} options 动图参数 { format, frameRate, width, start, end, loop, dither }（见 DEFAULT_ANIMATION_OPTIONS）
+     * @returns {Promise<{data: Uint8Array, format: string, extension: string, mimeType: string}>} 输出数据及格式信息
+     */
+    async createAnimation(input, options = {}) {
+        const { format, frameRate, width, start, end, spec } = FFmpegCommandBuilder.resolveAnimationOptions(options);
+        const outputFile = `output.${spec.extension}`;
+        const rangeText = end != null ? `${start}-${end}秒` : `${start}秒至结尾`;
+
+        this.log(`🎞️ 开始生成${spec.label} (${width}px, ${frameRate}fps, ${rangeText})...`);
+        this.checkCancelled();
+        const inputFile = await this.prepareInput(input, 'input.webm');
+
+        try {
+            this.log('🎨 [1/2] 生成调色板...');
+            const palette = await this.execAndCaptureLogs(FFmpegCommandBuilder.buildPaletteCommand(options, { input: inputFile }));
+            if (palette.exitCode !== 0) {
+                throw new Error(`调色板生成失败 (退出码 ${palette.exitCode}): ${MediaProbe.extractErrorText(palette.logOutput).split('\n').pop()}`);
+            }
+
+            this.checkCancelled();
+            this.log(`🎞️ [2/2] 使用调色板编码${spec.label}...`);
+            const command = FFmpegCommandBuilder.buildAnimationCommand(options, { input: inputFile, output: outputFile });
+            const { exitCode, logOutput } = await this.execAndCaptureLogs(command);
+            if (exitCode !== 0) {
+                throw new Error(`${spec.label}编码失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+            }
+
+            const data = await this.ffmpeg.readFile(outputFile);
+            this.log(`🎞️ ${spec.label}生成完成: ${data.length} bytes`);
+            return { data, format, extension: spec.extension, mimeType: spec.mimeType };
+        } finally {
+            await this.releaseInput(inputFile);
+            await this.deleteFiles([PALETTE_FILE, outputFile]);
+        }
+    }
+
+    /**
+     * 检查幻灯片图片并确定文件名：按文件头判断格式（不依赖Blob的type），文件名要与格式一致
+     * @param {Blob|Uint8Array} image 幻灯片图片
+     * @param {number} index 序号（从0开始）
+     * @returns {Promise<string>} 幻灯片的文件名（见 FFmpegCommandBuilder.getSlideFile）
+     * @throws {Error} 没有图片或格式不支持时
+     */
+    async getSlideFileName(image, index) {
+        const size = image ? (image instanceof Uint8Array ? image.length : image.size) : 0;
+        if (!size) {
+            throw new Error(`缺少第${index + 1}张背景图片或图片数据为空`);
+        }
+
+        const header = image instanceof Uint8Array
+            ? image.subarray(0, 16)
+            : new Uint8Array(await image.slice(0, 16).arrayBuffer());
+        const type = MediaProbe.detectImageType(header);
+        if (!SLIDE_FILE_EXTENSIONS[type]) {
+            throw new Error(`第${index + 1}张背景图片格式不支持（支持 PNG、JPEG、WebP）`);
+        }
+
+        this.log(`📋 背景图片 #${index + 1}: ${type}, ${size} bytes`);
+        return FFmpegCommandBuilder.getSlideFile(index, type);
+    }
+
+    /**
+     * 视频背景合成任务
+     * @param {Blob|Uint8Array} input 输入视频
+     * @param {object} options 合成参数 { background —— 背景图片（PNG/JPEG/WebP的Blob或数据），
+     *   slides —— 按时间切换的多张背景 [{ image, start }]（start为录制中的开始时间，秒；设置后忽略background），
+     *   videoScale, overlayPosition, outputSize, validateOutput,
+     *   overlayStyle —— 摄像头画面的形状、边框、投影和镜像（见 DEFAULT_OVERLAY_STYLE）,
+     *   autoTrimStart / autoTrimEnd —— 是否按场景变化自动裁剪开头空白（默认true）和静止的结尾（默认false），
+     *   sceneThreshold、autoTrimMin、autoTrimMax、autoTrimMargin —— 自动裁剪参数（见 DEFAULT_AUTO_TRIM_OPTIONS），
+     *   trim/cuts —— 保留和剪掉的区间（合成总要重编码，直接用滤镜精确裁剪；设置后不再自动检测），
+     *   trimSilence / maxPause —— 静音裁剪（同 convert），audioEnhance —— 音频增强（同 convert） }
+     * @returns {Promise<{data: Uint8Array, validation?: object, audioEnhance?: object, shortened?: object}>}
+     *   输出数据、校验结果、音频增强报告，输出比输入短时 shortened 记录差值（见 OutputValidator.checkShortened）
+     * @throws {Error} FFmpeg以非零退出码结束时（输出可能被截断，不再校验和报告 shortened）
+     */
+    async composite(input, options) {
+        const { background, videoScale, overlayPosition, outputSize, autoTrimStart = true, autoTrimEnd = false, validateOutput = true } = options;
+
+        this.log('🎬 开始背景合成...');
+        const overlayStyle = OverlayStyle.resolve(options.overlayStyle);
+        const slides = SlideTimeline.normalize(options.slides && options.slides.length > 0
+            ? options.slides
+            : [{ image: background, start: 0 }]);
+        const slideNames = [];
+        for (let index = 0; index < slides.length; index++) {
+            slideNames.push(await this.getSlideFileName(slides[index].image, index));
+        }
+
+        // 准备视频和背景文件（都是Blob时一起挂载；写入MEMFS时数据会转移给FFmpeg，先记录大小）
+        const inputSize = input instanceof Uint8Array ? input.length : input.size;
+        const [inputFile, ...slideFiles] = await this.prepareInputs([
+            { name: 'input_video.webm', data: input },
+            ...slides.map((slide, index) => ({ name: slideNames[index], data: slide.image }))
+        ]);
+        this.log(`📹 输入视频大小: ${inputSize} bytes`);
+
+        try {
+            // 输出时长跟随输入（或裁剪后）的时长
+            const inputInfo = await this.probeMedia(inputFile);
+
+            // 裁剪：手动设置的区间优先，否则按场景变化自动检测开头和结尾
+            // 合成总要重编码，不需要扫描关键帧，直接使用裁剪滤镜
+            let trim = null;
+            if (SilenceAnalyzer.hasSilenceTrim(options)) {
+                options = await this.applySilenceTrim(inputFile, inputInfo, options);
+            }
+
+            if (TrimPlanner.hasTrim(options)) {
+                this.log('📹 [视频检测] 已设置裁剪区间，跳过自动检测');
+                trim = await this.prepareTrim(inputFile, options, inputInfo, { allowCopy: false });
+            } else if (autoTrimStart || autoTrimEnd) {
+                this.checkCancelled();
+                const { start, end } = await this.detectContentRange(inputFile, inputInfo.duration, {
+                    ...options,
+                    detectStart: autoTrimStart,
+                    detectEnd: autoTrimEnd
+                });
+
+                if (start > 0) this.log(`✂️ [视频检测] 检测到视频实际开始时间: ${start.toFixed(2)}秒，将自动裁剪`);
+                if (end != null) this.log(`✂️ [视频检测] 检测到视频内容结束时间: ${end.toFixed(2)}秒，将自动裁剪`);
+
+                if (start > 0 || end != null) {
+                    trim = await this.prepareTrim(inputFile, { trim: { start, end } }, inputInfo, { allowCopy: false });
+                } else {
+                    this.log('📹 [视频检测] 开头和结尾都有内容，无需裁剪');
+                }
+            } else {
+                this.log('📹 [视频检测] 自动裁剪功能已禁用');
+            }
+
+            let enhancement = null;
+            if (AudioEnhancer.isEnabled(options.audioEnhance)) {
+                enhancement = await this.prepareAudioEnhancement(inputFile, options.audioEnhance, inputInfo, trim ? trim.trimFilter : null);
+            }
+
+            this.log(`🎯 合成参数: 视频缩放=${videoScale}, 叠加位置=${overlayPosition}, 输出尺寸=${outputSize}`);
+            this.log(`📐 调整输出尺寸: ${outputSize} -> ${FFmpegCommandBuilder.toEvenSize(outputSize)} (确保偶数)`);
+            if (!OverlayStyle.isPlain(overlayStyle)) {
+                this.log(`🎨 画面样式: ${OverlayStyle.describe(overlayStyle)}`);
+            }
+
+            const expectedDuration = trim ? trim.duration : inputInfo.duration;
+            if (expectedDuration > 0) {
+                this.log(`⏱️ 输出时长: ${expectedDuration.toFixed(2)}秒`);
+            } else {
+                this.log('⚠️ 未能获取输入时长，不限制输出时长');
+            }
+
+            // 幻灯片的开始时间按录制计算，换算到裁剪后的输出中
+            const segments = SlideTimeline.planSegments(
+                slides.map((slide, index) => ({ image: slideFiles[index], start: slide.start })),
+                { ranges: trim ? trim.ranges : null, duration: expectedDuration }
+            );
+            if (slides.length > 1) {
+                this.log(`🖼️ 幻灯片时间线（${segments.length}张）: ${SlideTimeline.describe(segments)}`);
+            }
+
+            const command = FFmpegCommandBuilder.buildCompositeCommand({
+                videoScale,
+                overlayPosition,
+                outputSize,
+                trimFilter: trim ? trim.trimFilter : null,
+                audioFilter: enhancement ? enhancement.filter : null,
+                overlayStyle,
+                maxDuration: expectedDuration > 0 ? expectedDuration + DEFAULT_COMPOSITE_OPTIONS.durationMargin : null
+            }, {
+                input: inputFile,
+                slides: segments.map(({ image, duration }) => ({ file: image, duration }))
+            });
+            this.log(`🔧 FFmpeg合成命令: ${command.join(' ')}`);
+
+            // 执行前检查取消状态
+            this.checkCancelled();
+
+            this.log('🔧 执行FFmpeg合成命令...');
+            const { exitCode, logOutput } = await this.execAndCaptureLogs(command);
+            if (exitCode !== 0) {
+                throw new Error(`合成失败 (退出码 ${exitCode}): ${MediaProbe.extractErrorText(logOutput).split('\n').pop()}`);
+            }
+            this.log('✅ FFmpeg命令执行完成，检查输出文件...');
+
+            // 检查输出文件是否存在
+            let outputData;
+            try {
+                outputData = await this.ffmpeg.readFile('output_composite.mp4');
+            } catch (fileError) {
+                throw new Error(`合成失败：无法读取输出文件 - ${fileError.message}`);
+            }
+            this.log(`📤 输出文件大小: ${outputData.length} bytes`);
+
+            // 小于1KB可能是无效文件
+            if (outputData.length < 1000) {
+                throw new Error(`合成失败：输出文件太小 (${outputData.length} bytes)`);
+            }
+
+            this.log('✅ 背景合成完成！');
+
+            const report = enhancement ? { audioEnhance: await this.reportLoudness('output_composite.mp4', enhancement) } : {};
+
+            // 输出时长应为保留区间的总时长（没有裁剪时为输入时长）
+            let validation = null;
+            let outputDuration;
+            if (validateOutput) {
+                validation = await this.validateOutput('output_composite.mp4', outputData, {
+                    input: inputInfo,
+                    expectedDuration
+                });
+                outputDuration = validation.details.duration;
+            } else {
+                outputDuration = (await this.probeMedia('output_composite.mp4')).duration;
+            }
+
+            // FFmpeg正常结束但输出仍比输入短时（如视频流提前结束）在结果中警告；异常退出在上面已经失败
+            const shortened = OutputValidator.checkShortened(outputDuration, expectedDuration);
+            if (shortened) {
+                this.log(`⚠️ ${shortened.message}`);
+                report.shortened = shortened;
+            }
+
+            return validation ? { data: outputData, validation, ...report } : { data: outputData, ...report };
+        } finally {
+            await this.releaseInputs([inputFile, ...slideFiles]);
+            await this.deleteFiles(['output_composite.mp4']);
+        }
+    }
+}
+
+export default FFmpegTasks;
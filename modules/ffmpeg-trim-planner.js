@@ -0,0 +1,171 @@
+/**
+ * 裁剪规划
+ * 把 trim（保留的区间）和 cuts（要剪掉的区间）换算成按顺序排列的保留区间，
+ * 并根据关键帧位置判断能否流复制：每个区间的开头都落在关键帧上时可以直接复制，否则需要重编码；
+ * 也根据场景变化推断开头和结尾的空白（自动裁剪）
+ * 纯函数实现，关键帧和场景变化时间由 FFmpegTasks 扫描得到，可以在Node中直接测试
+ */
+
+// 默认裁剪参数
+export const DEFAULT_TRIM_OPTIONS = Object.freeze({
+    keyframeTolerance: 0.05,   // 开始时间与关键帧相差不超过此值（秒）时视为落在关键帧上
+    minRangeDuration: 0.1      // 短于此值（秒）的保留区间直接丢弃
+});
+
+// 默认自动裁剪参数
+export const DEFAULT_AUTO_TRIM_OPTIONS = Object.freeze({
+    sceneThreshold: 0.1,       // 场景变化阈值（0-1），越小越敏感
+    autoTrimMin: 0.3,          // 场景变化距开头（或结尾）至少这么多秒才裁剪，更近的视为正常内容
+    autoTrimMax: 10,           // 场景变化距开头（或结尾）超过这么多秒时不裁剪，避免误删内容
+    autoTrimMargin: 0.1        // 在场景变化处多保留的秒数
+});
+
+export class TrimPlanner {
+    /**
+     * 选项中是否包含裁剪
+     * @param {object} options - { trim: {start, end}, cuts: [{start, end}] }
+     * @returns {boolean}
+     */
+    static hasTrim({ trim = null, cuts = null } = {}) {
+        const trimmed = !!trim && ((trim.start || 0) > 0 || trim.end != null);
+        return trimmed || (Array.isArray(cuts) && cuts.length > 0);
+    }
+
+    /**
+     * 计算保留区间：trim范围减去所有cuts
+     * @param {object} options - { trim: 保留的区间 {start, end}（end省略表示到结尾），
+     *   cuts: 要剪掉的区间 [{start, end}] }
+     * @param {number|null} duration - 输入时长（秒），未知时结尾区间的end为null
+     * @param {object} settings - 见 DEFAULT_TRIM_OPTIONS
+     * @returns {{start: number, end: number|null}[]} 按时间排列的保留区间
+     * @throws {Error} 区间无效或裁剪后没有剩余内容时
+     */
+    static resolveRanges({ trim = null, cuts = null } = {}, duration = null, settings = {}) {
+        const { minRangeDuration } = { ...DEFAULT_TRIM_OPTIONS, ...settings };
+        const limit = duration > 0 ? duration : Infinity;
+
+        const start = trim && trim.start ? trim.start : 0;
+        const end = trim && trim.end != null ? trim.end : Infinity;
+        this.checkRange({ start, end }, '裁剪范围');
+
+        let ranges = [{ start, end: Math.min(end, limit) }];
+
+        const sortedCuts = (cuts || []).slice().sort((a, b) => a.start - b.start);
+        for (const cut of sortedCuts) {
+            this.checkRange(cut, '剪切区间');
+            ranges = ranges.flatMap(range => this.subtract(range, cut));
+        }
+
+        ranges = ranges.filter(range => range.end - range.start >= minRangeDuration);
+        if (ranges.length === 0) {
+            throw new Error('裁剪后没有剩余内容');
+        }
+
+        return ranges.map(range => ({ start: range.start, end: Number.isFinite(range.end) ? range.end : null }));
+    }
+
+    // 检查区间：开始不小于0，结束晚于开始
+    static checkRange({ start, end }, name) {
+        if (!(start >= 0) || !(end > start)) {
+            throw new Error(`无效的${name}: ${start} - ${end}`);
+        }
+    }
+
+    // 从区间中去掉cut，返回剩余的0-2个区间
+    static subtract(range, cut) {
+        if (cut.end <= range.start || cut.start >= range.end) {
+            return [range];
+        }
+
+        const rest = [];
+        if (cut.start > range.start) rest.push({ start: range.start, end: cut.start });
+        if (cut.end < range.end) rest.push({ start: cut.end, end: range.end });
+        return rest;
+    }
+
+    /**
+     * 保留区间的总时长
+     * @param {{start: number, end: number|null}[]} ranges - 保留区间
+     * @param {number|null} duration - 输入时长（秒），用于end为null的区间
+     * @returns {number|null} 总时长（秒），无法确定时返回null
+     */
+    static getTotalDuration(ranges, duration = null) {
+        let total = 0;
+        for (const { start, end } of ranges) {
+            const rangeEnd = end != null ? end : duration;
+            if (!(rangeEnd > 0)) return null;
+            total += rangeEnd - start;
+        }
+        return total;
+    }
+
+    /**
+     * 时间点是否落在关键帧上
+     * @param {number} time - 时间（秒）
+     * @param {number[]} keyframes - 关键帧时间（秒）
+     * @param {number} tolerance - 允许误差（秒）
+     * @returns {boolean}
+     */
+    static isOnKeyframe(time, keyframes, tolerance = DEFAULT_TRIM_OPTIONS.keyframeTolerance) {
+        return keyframes.some(keyframe => Math.abs(keyframe - time) <= tolerance);
+    }
+
+    /**
+     * 能否流复制裁剪：每个区间都从0或关键帧开始（结尾不要求关键帧）
+     * @param {{start: number, end: number|null}[]} ranges - 保留区间
+     * @param {number[]} keyframes - 关键帧时间（秒）
+     * @param {object} settings - 见 DEFAULT_TRIM_OPTIONS
+     * @returns {boolean}
+     */
+    static canStreamCopy(ranges, keyframes, settings = {}) {
+        const { keyframeTolerance } = { ...DEFAULT_TRIM_OPTIONS, ...settings };
+        return ranges.every(({ start }) => start === 0 || this.isOnKeyframe(start, keyframes, keyframeTolerance));
+    }
+
+    /**
+     * 根据场景变化推断内容的开始和结束：
+     * 第一个场景变化距开头在窗口内时，之前视为开头空白；
+     * 最后一个场景变化（不是已用作开始的那个）距结尾在窗口内时，之后视为静止的结尾
+     * @param {number[]} sceneTimes - 场景变化时间（秒），按时间排列
+     * @param {number|null} duration - 输入时长（秒），未知时不检测结尾
+     * @param {object} settings - 见 DEFAULT_AUTO_TRIM_OPTIONS，另有 detectStart / detectEnd（默认都为true）
+     * @returns {{start: number, end: number|null}} 内容范围，不需要裁剪的一端为0或null
+     */
+    static detectContentRange(sceneTimes, duration = null, settings = {}) {
+        const { autoTrimMin, autoTrimMax, autoTrimMargin, detectStart = true, detectEnd = true } = {
+            ...DEFAULT_AUTO_TRIM_OPTIONS,
+            ...settings
+        };
+        const inWindow = (offset) => offset >= autoTrimMin && offset <= autoTrimMax;
+
+        let start = 0;
+        let firstUnused = 0;
+        if (detectStart && sceneTimes.length > 0 && inWindow(sceneTimes[0])) {
+            start = Math.max(0, sceneTimes[0] - autoTrimMargin);
+            firstUnused = 1;
+        }
+
+        let end = null;
+        if (detectEnd && duration > 0 && sceneTimes.length > firstUnused) {
+            const last = sceneTimes[sceneTimes.length - 1];
+            if (inWindow(duration - last)) {
+                end = Math.min(duration, last + autoTrimMargin);
+            }
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * 区间的文字描述（用于日志）
+     * @param {{start: number, end: number|null}[]} ranges - 保留区间
+     * @returns {string} 如 "0.00-5.00秒, 7.00秒-结尾"
+     */
+    static describe(ranges) {
+        return ranges
+            .map(({ start, end }) => (end != null ? `${start.toFixed(2)}-${end.toFixed(2)}秒` : `${start.toFixed(2)}秒-结尾`))
+            .join(', ');
+    }
+}
+
+export default TrimPlanner;
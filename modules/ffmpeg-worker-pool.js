@@ -0,0 +1,340 @@
+/**
+ * FFmpeg Worker 池
+ * 不使用SharedArrayBuffer时FFmpeg核心是单线程的，多个Worker并行是利用多核的唯一方式
+ * 池大小由CPU核数和内存预算决定；已加载的Worker重复使用，空闲超时后关闭
+ */
+
+import WorkerProtocol, { RequestType, ReplyType } from './ffmpeg-worker-protocol.js';
+import ConversionCancelledError from './ffmpeg-errors.js';
+
+// 默认池配置
+export const DEFAULT_POOL_OPTIONS = Object.freeze({
+    workerURL: './modules/ffmpeg-worker.js',
+    maxWorkers: null,       // null表示按CPU核数和内存预算自动计算
+    memoryBudgetMB: null,   // 所有Worker可用的内存，null表示按设备内存估算
+    workerMemoryMB: 256,    // 每个Worker预估占用（FFmpeg核心 + 输入输出文件）
+    idleTimeout: 30000,     // 空闲Worker关闭前等待的毫秒数
+    minIdleWorkers: 1       // 至少保留的已加载Worker数，避免下次任务重新加载核心
+});
+
+/**
+ * 单个FFmpeg Worker的客户端：按任务id收发消息
+ */
+export class FFmpegWorkerClient {
+    /**
+     * @param {string} workerURL - Worker脚本地址
+     * @param {number} id - Worker编号（用于日志）
+     * @param {object} hooks - { log: 日志回调, onError: Worker崩溃时调用（参数为本客户端） }
+     */
+    constructor(workerURL, id, { log = null, onError = null } = {}) {
+        this.id = id;
+        this.logCallback = log;
+        this.errorCallback = onError;
+        this.jobs = new Map();   // 进行中的任务：id -> { doneType, resolve, reject, onProgress }
+        this.nextJobId = 1;
+        this.ready = false;      // FFmpeg核心是否已加载
+        this.busy = false;       // 是否正在执行任务
+        this.terminated = false;
+        this.idleTimer = null;
+
+        this.worker = new Worker(workerURL, { type: 'module' });
+
+        // 所有任务共用一个监听器，按任务id分发回复
+        this.worker.onmessage = (e) => this.handleMessage(e);
+        // 崩溃后的Worker不能再使用：先拒绝进行中的任务，再交给池移除
+        this.worker.onerror = (error) => {
+            this.rejectJobs(new Error(`Worker 错误: ${error.message}`));
+            if (this.errorCallback) this.errorCallback(this);
+        };
+    }
+
+    /**
+     * 加载FFmpeg核心
+     */
+    async init() {
+        const { success } = await this.postJob(RequestType.INIT, null, ReplyType.INITIALIZED);
+        if (!success) {
+            throw new Error('Worker 初始化失败');
+        }
+        this.ready = true;
+    }
+
+    /**
+     * 发送任务，等待该任务的完成回复
+     * @param {string} type - 请求类型（RequestType）
+     * @param {*} data - 请求数据
+     * @param {string} doneType - 表示任务完成的回复类型（ReplyType）
+     * @param {object} handlers - { onProgress: 本任务的进度回调，参数为 (percent, time, analyzing) }
+     * @returns {Promise<object>} 完成回复消息；收到该任务的error回复时拒绝
+     */
+    postJob(type, data, doneType, { onProgress = null } = {}) {
+        if (this.terminated) {
+            return Promise.reject(new ConversionCancelledError());
+        }
+
+        const id = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { doneType, resolve, reject, onProgress });
+            this.worker.postMessage(WorkerProtocol.createRequest(type, id, data));
+        });
+    }
+
+    // 分发Worker回复：日志直接输出，其余消息只交给对应id的任务
+    handleMessage(e) {
+        const message = e.data;
+
+        if (!WorkerProtocol.isCompatible(message)) {
+            this.log(`⚠️ 忽略协议版本不匹配的Worker消息 (版本 ${message && message.version})`);
+            return;
+        }
+
+        const job = this.jobs.get(message.id);
+
+        switch (message.type) {
+            case ReplyType.LOG:
+                // 已结束任务的迟到日志照常显示，不影响任务状态
+                this.log(message.message);
+                return;
+
+            case ReplyType.PROGRESS:
+                if (job && job.onProgress) job.onProgress(message.percent, message.time, message.analyzing);
+                return;
+
+            case ReplyType.ERROR:
+                if (!job) {
+                    this.log(`⚠️ Worker错误: ${message.message}`);
+                    return;
+                }
+                this.jobs.delete(message.id);
+                job.reject(this.toError(message));
+                return;
+
+            default:
+                // 已结束或已取消任务的迟到回复直接忽略
+                if (job && message.type === job.doneType) {
+                    this.jobs.delete(message.id);
+                    job.resolve(message);
+                }
+        }
+    }
+
+    // 由错误回复重建错误对象（保留取消类型和回退阶梯报告）
+    toError(message) {
+        if (message.name === 'ConversionCancelledError') {
+            return new ConversionCancelledError(message.message);
+        }
+
+        const error = new Error(message.message);
+        if (message.fallback) error.fallback = message.fallback;
+        return error;
+    }
+
+    // 拒绝所有进行中的任务（Worker出错或被终止时）
+    rejectJobs(error) {
+        const jobs = Array.from(this.jobs.values());
+        this.jobs.clear();
+        jobs.forEach(job => job.reject(error));
+    }
+
+    // 终止Worker，中断正在执行的命令
+    terminate() {
+        clearTimeout(this.idleTimer);
+        this.terminated = true;
+        this.worker.terminate();
+        this.rejectJobs(new ConversionCancelledError());
+    }
+
+    // 日志输出（多个Worker时带编号）
+    log(message) {
+        if (this.logCallback) this.logCallback(message, this.id);
+    }
+}
+
+export class FFmpegWorkerPool {
+    /**
+     * @param {object} options - 池配置，见 DEFAULT_POOL_OPTIONS；另可传 log 日志回调
+     */
+    constructor(options = {}) {
+        const { log = null, ...poolOptions } = options;
+        this.options = { ...DEFAULT_POOL_OPTIONS, ...poolOptions };
+        this.size = this.options.maxWorkers || FFmpegWorkerPool.getRecommendedSize(this.options);
+        this.logCallback = log;
+        this.workers = [];   // 已创建的Worker（包含加载中的）
+        this.waiters = [];   // 等待空闲Worker的请求
+        this.nextWorkerId = 1;
+    }
+
+    /**
+     * 按CPU核数和内存预算计算池大小
+     * @param {object} options - { memoryBudgetMB, workerMemoryMB }
+     * @returns {number} Worker数量（至少为1）
+     */
+    static getRecommendedSize({ memoryBudgetMB = null, workerMemoryMB = DEFAULT_POOL_OPTIONS.workerMemoryMB } = {}) {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+
+        // deviceMemory单位为GB（只有Chromium支持），默认让Worker使用其中四分之一
+        const deviceMemoryGB = typeof navigator !== 'undefined' ? navigator.deviceMemory : null;
+        const budget = memoryBudgetMB || (deviceMemoryGB ? deviceMemoryGB * 1024 / 4 : 1024);
+
+        const byCpu = Math.max(1, cores - 1); // 留一个核给主线程
+        const byMemory = Math.max(1, Math.floor(budget / workerMemoryMB));
+        return Math.min(byCpu, byMemory);
+    }
+
+    /**
+     * 预先加载一个Worker，确认FFmpeg核心可用
+     */
+    async warmUp() {
+        const client = await this.acquire();
+        this.release(client);
+    }
+
+    /**
+     * 获取一个空闲的已加载Worker；没有空闲且未达上限时创建新Worker，否则等待
+     * @returns {Promise<FFmpegWorkerClient>} 已标记为忙碌的Worker
+     */
+    async acquire() {
+        const idle = this.workers.find(client => client.ready && !client.busy);
+        if (idle) {
+            clearTimeout(idle.idleTimer);
+            idle.busy = true;
+            return idle;
+        }
+
+        if (this.workers.length < this.size) {
+            return this.spawn();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.waiters.push({ resolve, reject });
+        });
+    }
+
+    // 创建并加载新Worker
+    async spawn() {
+        const client = new FFmpegWorkerClient(this.options.workerURL, this.nextWorkerId++, {
+            log: (message, workerId) => this.log(this.size > 1 ? `[W${workerId}] ${message}` : message),
+            onError: (crashed) => {
+                this.log(`💥 Worker #${crashed.id} 崩溃，已移除`);
+                this.discard(crashed);
+            }
+        });
+        client.busy = true;
+        this.workers.push(client);
+        this.log(`🧵 启动 Worker #${client.id}（${this.workers.length}/${this.size}）`);
+
+        try {
+            await client.init();
+            return client;
+        } catch (error) {
+            this.discard(client);
+            throw error;
+        }
+    }
+
+    /**
+     * 归还Worker：有等待的请求时直接交给它，否则开始空闲计时
+     * @param {FFmpegWorkerClient} client - Worker
+     */
+    release(client) {
+        if (client.terminated) return;
+        client.busy = false;
+
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            client.busy = true;
+            waiter.resolve(client);
+            return;
+        }
+
+        clearTimeout(client.idleTimer);
+        client.idleTimer = setTimeout(() => this.shutdownIfIdle(client), this.options.idleTimeout);
+    }
+
+    // 空闲超时：超过保留数量的空闲Worker被关闭
+    shutdownIfIdle(client) {
+        if (client.busy || client.terminated) return;
+
+        const idleCount = this.workers.filter(item => item.ready && !item.busy).length;
+        if (idleCount > this.options.minIdleWorkers) {
+            this.log(`💤 关闭空闲 Worker #${client.id}`);
+            this.discard(client);
+        }
+    }
+
+    /**
+     * 终止并移除Worker（取消任务或Worker崩溃时使用）；有等待的请求时补充新Worker
+     * @param {FFmpegWorkerClient} client - Worker
+     */
+    discard(client) {
+        if (!client.terminated) client.terminate();
+        // 已移除的Worker（如崩溃后init又失败）不重复补位
+        if (!this.workers.includes(client)) return;
+        this.workers = this.workers.filter(item => item !== client);
+
+        if (this.waiters.length > 0 && this.workers.length < this.size) {
+            const waiter = this.waiters.shift();
+            this.spawn().then(waiter.resolve, waiter.reject);
+        }
+    }
+
+    /**
+     * 在空闲Worker上执行任务
+     * @param {string} type - 请求类型（RequestType）
+     * @param {*} data - 请求数据
+     * @param {string} doneType - 表示任务完成的回复类型（ReplyType）
+     * @param {object} hooks - { onProgress: 进度回调, onStart: 拿到Worker时调用（用于取消），
+     *   isCancelled: 拿到Worker前任务是否已被取消 }
+     * @returns {Promise<object>} 完成回复消息
+     */
+    async run(type, data, doneType, { onProgress = null, onStart = null, isCancelled = null } = {}) {
+        const client = await this.acquire();
+
+        // 等待Worker期间任务可能已被取消
+        if (isCancelled && isCancelled()) {
+            this.release(client);
+            throw new ConversionCancelledError();
+        }
+
+        if (onStart) onStart(client);
+
+        try {
+            return await client.postJob(type, data, doneType, { onProgress });
+        } finally {
+            this.release(client);
+        }
+    }
+
+    /**
+     * 获取池状态
+     * @returns {{size: number, workers: number, busy: number, waiting: number}}
+     */
+    getStats() {
+        return {
+            size: this.size,
+            workers: this.workers.length,
+            busy: this.workers.filter(client => client.busy).length,
+            waiting: this.waiters.length
+        };
+    }
+
+    /**
+     * 终止所有Worker，拒绝等待中的请求
+     */
+    destroy() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => waiter.reject(new ConversionCancelledError()));
+
+        this.workers.forEach(client => client.terminate());
+        this.workers = [];
+    }
+
+    // 日志输出
+    log(message) {
+        if (this.logCallback) this.logCallback(message);
+    }
+}
+
+export default FFmpegWorkerPool;
@@ -0,0 +1,78 @@
+/**
+ * FFmpeg Worker 消息协议
+ * 主线程与Worker之间的请求/响应格式：每个请求带任务id，Worker的所有回复都回传同一个id，
+ * 主线程据此把日志、进度和结果分发给对应任务
+ */
+
+// 协议版本，主线程和Worker不一致时拒绝处理消息（避免缓存的旧Worker脚本）
+// 版本2：输入以Blob发送（Worker挂载为WORKERFS），结果buffer以Transferable转移
+export const PROTOCOL_VERSION = 2;
+
+// 主线程 → Worker 的请求类型
+export const RequestType = Object.freeze({
+    INIT: 'init',
+    CONVERT: 'convert',
+    PROBE: 'probe',
+    COMPOSITE: 'composite',
+    SPLIT: 'split',
+    CONCAT: 'concat',
+    EXTRACT_AUDIO: 'extract_audio',
+    ANIMATE: 'animate',
+    ANALYZE_SILENCE: 'analyze_silence',
+    ANALYZE_SPEECH: 'analyze_speech',
+    CANCEL: 'cancel',
+    RESET: 'reset'
+});
+
+// Worker → 主线程 的回复类型
+export const ReplyType = Object.freeze({
+    INITIALIZED: 'initialized',
+    LOG: 'log',
+    PROGRESS: 'progress',
+    COMPLETED: 'completed',
+    PROBE_COMPLETE: 'probe_complete',
+    COMPOSITE_COMPLETE: 'composite_complete',
+    SPLIT_COMPLETE: 'split_complete',
+    CONCAT_COMPLETE: 'concat_complete',
+    EXTRACT_AUDIO_COMPLETE: 'extract_audio_complete',
+    ANIMATION_COMPLETE: 'animation_complete',
+    SILENCE_ANALYSIS_COMPLETE: 'silence_analysis_complete',
+    SPEECH_ANALYSIS_COMPLETE: 'speech_analysis_complete',
+    RESET_COMPLETE: 'reset_complete',
+    ERROR: 'error'
+});
+
+export class WorkerProtocol {
+    /**
+     * 创建请求消息
+     * @param {string} type - 请求类型（RequestType）
+     * @param {number} id - 任务id
+     * @param {*} data - 请求数据
+     * @returns {{version: number, id: number, type: string, data: *}}
+     */
+    static createRequest(type, id, data = null) {
+        return { version: PROTOCOL_VERSION, id, type, data };
+    }
+
+    /**
+     * 创建回复消息
+     * @param {string} type - 回复类型（ReplyType）
+     * @param {number|null} id - 对应请求的任务id，与任务无关的消息为null
+     * @param {object} payload - 回复内容（message、buffer、percent等）
+     * @returns {object} 回复消息
+     */
+    static createReply(type, id, payload = {}) {
+        return { version: PROTOCOL_VERSION, id, type, ...payload };
+    }
+
+    /**
+     * 检查消息的协议版本是否兼容
+     * @param {object} message - 收到的消息
+     * @returns {boolean} 是否兼容
+     */
+    static isCompatible(message) {
+        return !!message && message.version === PROTOCOL_VERSION;
+    }
+}
+
+export default WorkerProtocol;
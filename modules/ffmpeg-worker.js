@@ -2,27 +2,41 @@
  * FFmpeg Web Worker - GitHub Pages 兼容版本
  * 在独立线程中执行FFmpeg转换，避免阻塞主线程
  * 不使用SharedArrayBuffer，确保GitHub Pages兼容性
+ * 输入视频以Blob接收并通过WORKERFS挂载（不复制），输出buffer转移给主线程（不复制）
  */
 
 import PathResolver from './path-resolver.js';
+import FFmpegTasks from './ffmpeg-tasks.js';
+import WorkerProtocol, { PROTOCOL_VERSION, RequestType, ReplyType } from './ffmpeg-worker-protocol.js';
 
 let ffmpeg = null;
+let tasks = null;      // Worker模式与直接模式共用的任务执行器
 let isLoaded = false;
 let currentTask = null; // 当前执行的任务
+let currentJobId = null; // 当前任务id，日志和进度都回传这个id
 let isCancelled = false; // 取消标志
+let jobChain = Promise.resolve(); // 任务串行执行，同一时间只有一个任务使用FFmpeg实例
+
+// 发送回复消息（默认归属当前任务）
+function reply(type, payload = {}, id = currentJobId, transfer = []) {
+    self.postMessage(WorkerProtocol.createReply(type, id, payload), transfer);
+}
+
+// 发送日志
+function log(message) {
+    reply(ReplyType.LOG, { message });
+}
 
 // 导入FFmpeg
 async function initFFmpeg() {
-    if (isLoaded) return;
+    if (isLoaded) {
+        reply(ReplyType.INITIALIZED, { success: true });
+        return;
+    }
     
     try {
         // 在Worker中导入FFmpeg - GitHub Pages兼容版本
-        const logCallback = (message) => {
-            self.postMessage({
-                type: 'log',
-                message: `[FFmpeg Worker] ${message}`
-            });
-        };
+        const logCallback = (message) => log(`[FFmpeg Worker] ${message}`);
         
         const module = await PathResolver.loadFFmpegWithRetry('worker', logCallback);
         const { FFmpeg } = module;
@@ -30,28 +44,25 @@ async function initFFmpeg() {
         
         // 设置事件监听
         ffmpeg.on('log', ({ message }) => {
-            // 如果日志包含时间信息，也发送进度更新
-            if (message.includes('time=') && message.includes('fps=')) {
-                self.postMessage({
-                    type: 'progress',
+            // 如果日志包含时间信息，也发送进度更新（分析命令的进度不是编码进度，不发送）
+            if (message.includes('time=') && message.includes('fps=') && !(tasks && tasks.analyzing)) {
+                reply(ReplyType.PROGRESS, {
                     percent: -1, // 表示来自日志
                     time: message // 传递完整的日志消息
                 });
             }
             
-            self.postMessage({
-                type: 'log',
-                message: `[FFmpeg Worker] ${message}`
-            });
+            log(`[FFmpeg Worker] ${message}`);
         });
 
         ffmpeg.on('progress', ({ progress, time }) => {
             const percent = Math.round(progress * 100);
             const timeInSeconds = time > 1000000 ? (time / 1000000).toFixed(2) : time.toFixed(2);
-            self.postMessage({
-                type: 'progress',
+            // 分析命令的进度只用于卡死检测，不作为编码进度显示
+            reply(ReplyType.PROGRESS, {
                 percent: percent,
-                time: timeInSeconds
+                time: timeInSeconds,
+                analyzing: Boolean(tasks && tasks.analyzing)
             });
         });
 
@@ -62,27 +73,21 @@ async function initFFmpeg() {
             throw new Error('所需的FFmpeg核心文件不可访问');
         }
         
-        self.postMessage({
-            type: 'log',
-            message: `[FFmpeg Worker] 使用简化路径核心文件: ${loadConfig.coreURL}`
-        });
-        
-        self.postMessage({
-            type: 'log',
-            message: `[FFmpeg Worker] 使用简化路径WASM文件: ${loadConfig.wasmURL}`
-        });
+        logCallback(`使用简化路径核心文件: ${loadConfig.coreURL}`);
+        logCallback(`使用简化路径WASM文件: ${loadConfig.wasmURL}`);
         
         await ffmpeg.load(loadConfig);
 
-        isLoaded = true;
-        self.postMessage({
-            type: 'initialized',
-            success: true
+        tasks = new FFmpegTasks(ffmpeg, {
+            log,
+            isCancelled: () => isCancelled
         });
+
+        isLoaded = true;
+        reply(ReplyType.INITIALIZED, { success: true });
         
     } catch (error) {
-        self.postMessage({
-            type: 'error',
+        reply(ReplyType.ERROR, {
             message: `FFmpeg Worker 初始化失败: ${error.message}`
         });
     }
@@ -94,127 +99,203 @@ async function convertVideo(data) {
         throw new Error('FFmpeg Worker 未初始化');
     }
     
-    const { webmBuffer, options = {} } = data;
-    
-    const {
-        preset = 'ultrafast',
-        crf = 35,                // 更激进的质量降低
-        audioBitrate = '32k',    // 极低音频比特率
-        fastMode = true
-    } = options;
+    const { input, options = {} } = data;
 
     try {
-        self.postMessage({ type: 'log', message: '开始转换 WebM 到 MP4...' });
+        const { data: outputData, ...report } = await tasks.convert(input, options);
 
-        // 检查是否被取消
-        if (isCancelled) {
-            throw new Error('转换已被用户取消');
-        }
+        // 转移输出buffer，避免再复制一份
+        reply(ReplyType.COMPLETED, {
+            buffer: outputData.buffer,
+            report
+        }, currentJobId, [outputData.buffer]);
 
-        // 写入输入文件
-        const inputData = new Uint8Array(webmBuffer);
-        await ffmpeg.writeFile('input.webm', inputData);
-
-        let command = ['-i', 'input.webm'];
-
-        // 始终使用重编码模式以确保兼容性
-        self.postMessage({ type: 'log', message: '使用重编码模式确保MP4兼容性...' });
-        command = command.concat([
-            '-c:v', 'libx264',
-            '-preset', preset,
-            '-tune', 'zerolatency',
-            '-crf', crf.toString(),
-            '-pix_fmt', 'yuv420p',
-            '-profile:v', 'baseline',
-            '-level:v', '3.0',
-            // 修复帧率和时间戳问题
-            '-r', '30',                  // 强制输出帧率为30fps
-            '-vsync', 'cfr',             // 恒定帧率，避免重复帧
-            '-fps_mode', 'cfr',          // 确保恒定帧率模式
-            // 极速优化参数（简化）
-            '-x264-params', 'ref=1:me=dia:subme=1:mixed-refs=0:trellis=0:weightp=0:weightb=0:8x8dct=0:fast-pskip=1',
-            '-g', '30',                  // 恢复合理的GOP大小
-            '-bf', '0',                  // 禁用B帧
-            '-sc_threshold', '40',       // 恢复场景切换检测但设置较高阈值
-            // 音频设置
-            '-c:a', 'aac',
-            '-b:a', audioBitrate,
-            '-ac', '1',                  // 单声道
-            '-ar', '16000',              // 16kHz采样率
-            '-movflags', '+faststart',
-            '-threads', '0',
-            '-avoid_negative_ts', 'make_zero', // 修复时间戳问题
-            '-f', 'mp4',
-            'output.mp4'
-        ]);
-
-        // 执行转换前再次检查取消状态
-        if (isCancelled) {
-            throw new Error('转换已被用户取消');
-        }
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `转换失败: ${error.message}`,
+            name: error.name,
+            fallback: error.fallback || null   // 回退阶梯中每一级的失败信息
+        });
+    }
+}
 
-        // 执行转换
-        await ffmpeg.exec(command);
-        
-        // 转换完成后检查取消状态
-        if (isCancelled) {
-            throw new Error('转换已被用户取消');
-        }
-        
-        self.postMessage({ type: 'log', message: 'H.264/AAC重编码完成' });
+// 探测函数
+async function probeFile(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
 
-        // 读取输出文件
-        const outputData = await ffmpeg.readFile('output.mp4');
-        
-        // 清理临时文件
-        await ffmpeg.deleteFile('input.webm');
-        await ffmpeg.deleteFile('output.mp4');
-
-        // 发送结果 - 不使用Transferable Objects以确保兼容性
-        self.postMessage({
-            type: 'completed',
-            buffer: outputData.buffer.slice() // 复制buffer而不是转移
+    const { input } = data;
+
+    try {
+        const mediaInfo = await tasks.probe(input);
+        reply(ReplyType.PROBE_COMPLETE, { mediaInfo });
+
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `探测失败: ${error.message}`,
+            name: error.name
         });
+    }
+}
+
+// 切分函数
+async function splitVideo(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
+
+    const { input, segmentDuration } = data;
+
+    try {
+        const segments = await tasks.split(input, segmentDuration);
+
+        // 转移所有片段的buffer
+        reply(ReplyType.SPLIT_COMPLETE, {
+            segments: segments.map(({ data: segmentData, start, end }) => ({ buffer: segmentData.buffer, start, end }))
+        }, currentJobId, segments.map(({ data: segmentData }) => segmentData.buffer));
 
     } catch (error) {
-        self.postMessage({
-            type: 'error',
-            message: `转换失败: ${error.message}`
+        reply(ReplyType.ERROR, {
+            message: `切分失败: ${error.message}`,
+            name: error.name
         });
-        
-        // 如果快速模式失败，尝试标准模式
-        if (options.fastMode !== false) {
-            self.postMessage({ type: 'log', message: '快速模式失败，尝试标准重编码...' });
-            return convertVideo({
-                webmBuffer,
-                options: { ...options, fastMode: false }
-            });
-        }
     }
 }
 
-// 取消当前任务
-function cancelCurrentTask() {
-    isCancelled = true;
-    if (currentTask) {
-        self.postMessage({ type: 'log', message: '🛑 Worker收到取消请求，准备强制终止' });
-        // FFmpeg.wasm无法中途取消，强制关闭Worker是唯一可靠方式
-        setTimeout(() => {
-            self.postMessage({ type: 'log', message: '🛑 强制关闭Worker进程' });
-            self.close();
-        }, 100); // 短暂延迟确保消息发送
+// 拼接函数
+async function concatVideo(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
+
+    const { inputs, options = {} } = data;
+
+    try {
+        const { data: outputData, validation, audioEnhance } = await tasks.concat(inputs, options);
+        reply(ReplyType.CONCAT_COMPLETE, {
+            buffer: outputData.buffer,
+            validation,
+            audioEnhance
+        }, currentJobId, [outputData.buffer]);
+
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `拼接失败: ${error.message}`,
+            name: error.name
+        });
+    }
+}
+
+// 音频导出函数
+async function extractAudio(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
+
+    const { input, options = {} } = data;
+
+    try {
+        const { data: outputData, ...format } = await tasks.extractAudio(input, options);
+        reply(ReplyType.EXTRACT_AUDIO_COMPLETE, {
+            buffer: outputData.buffer,
+            ...format
+        }, currentJobId, [outputData.buffer]);
+
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `音频导出失败: ${error.message}`,
+            name: error.name
+        });
     }
 }
 
+// 动图函数
+async function createAnimation(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
+
+    const { input, options = {} } = data;
+
+    try {
+        const { data: outputData, ...format } = await tasks.createAnimation(input, options);
+        reply(ReplyType.ANIMATION_COMPLETE, {
+            buffer: outputData.buffer,
+            ...format
+        }, currentJobId, [outputData.buffer]);
+
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `动图生成失败: ${error.message}`,
+            name: error.name
+        });
+    }
+}
+
+// 静音分析函数
+async function analyzeSilence(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
+
+    const { input, options = {} } = data;
+
+    try {
+        const analysis = await tasks.analyzeSilence(input, options);
+        reply(ReplyType.SILENCE_ANALYSIS_COMPLETE, { analysis });
+
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `静音分析失败: ${error.message}`,
+            name: error.name
+        });
+    }
+}
+
+// 演讲分析函数
+async function analyzeSpeech(data) {
+    if (!isLoaded) {
+        throw new Error('FFmpeg Worker 未初始化');
+    }
+
+    const { input, options = {} } = data;
+
+    try {
+        const { analysis, report } = await tasks.analyzeSpeech(input, options);
+        reply(ReplyType.SPEECH_ANALYSIS_COMPLETE, { analysis, report });
+
+    } catch (error) {
+        reply(ReplyType.ERROR, {
+            message: `演讲分析失败: ${error.message}`,
+            name: error.name
+        });
+    }
+}
+
+// 取消任务（jobId为空时取消当前任务）
+// 只设置取消标志，在两个FFmpeg命令之间生效；需要立即停止时由主线程终止并重建Worker
+function cancelCurrentTask(jobId) {
+    if (!currentTask || (jobId != null && jobId !== currentJobId)) return;
+
+    isCancelled = true;
+    log('🛑 Worker收到取消请求，当前步骤结束后停止');
+}
+
 // 重置Worker状态
 async function resetWorkerState() {
     isCancelled = false;
     currentTask = null;
     
-    // 清理可能残留的临时文件
+    // 清理可能残留的挂载和临时文件
     if (ffmpeg && isLoaded) {
         try {
-            const files = ['input.webm', 'output.mp4', 'input_video.webm', 'background.jpg', 'output_composite.mp4'];
+            await tasks.unmountInput();
+            // 合成的幻灯片按序号命名，从根目录列出残留的文件
+            const slideFiles = (await ffmpeg.listDir('/'))
+                .filter(({ name, isDir }) => !isDir && /^slide_\d+\./.test(name))
+                .map(({ name }) => name);
+            const files = ['input.webm', 'output.mp4', 'input_video.webm', ...slideFiles, 'output_composite.mp4', 'trimmed.mkv'];
             for (const file of files) {
                 try {
                     await ffmpeg.deleteFile(file);
@@ -222,211 +303,120 @@ async function resetWorkerState() {
                     // 文件可能不存在，忽略错误
                 }
             }
-            self.postMessage({ type: 'log', message: 'Worker状态已重置' });
+            log('Worker状态已重置');
         } catch (error) {
-            self.postMessage({ type: 'log', message: `⚠️ 清理临时文件时出错: ${error.message}` });
+            log(`⚠️ 清理临时文件时出错: ${error.message}`);
         }
     }
 }
 
+// 串行执行任务：每个任务开始前重置状态，日志和进度归属该任务的id
+function enqueueJob(id, taskName, run) {
+    jobChain = jobChain.then(async () => {
+        currentJobId = id;
+        try {
+            if (taskName) {
+                await resetWorkerState();
+                currentTask = taskName;
+                isCancelled = false;
+            }
+            await run();
+        } catch (error) {
+            // 任务函数未处理的错误（如未初始化）也回复给对应任务，且不中断后续任务
+            reply(ReplyType.ERROR, { message: error.message, name: error.name });
+        } finally {
+            currentTask = null;
+            currentJobId = null;
+        }
+    });
+    return jobChain;
+}
+
 // Worker消息处理
-self.onmessage = async function(e) {
-    const { type, data } = e.data;
+self.onmessage = function(e) {
+    const { version, id, type, data } = e.data;
+
+    if (!WorkerProtocol.isCompatible(e.data)) {
+        reply(ReplyType.ERROR, {
+            message: `协议版本不匹配: Worker=${PROTOCOL_VERSION}, 请求=${version}`
+        }, id != null ? id : null);
+        return;
+    }
     
     switch (type) {
-        case 'init':
-            await initFFmpeg();
+        case RequestType.INIT:
+            enqueueJob(id, null, initFFmpeg);
             break;
             
-        case 'convert':
-            // 转换前先重置状态
-            await resetWorkerState();
-            currentTask = 'convert';
-            isCancelled = false;
-            await convertVideo(data);
-            currentTask = null;
+        case RequestType.CONVERT:
+            enqueueJob(id, 'convert', () => convertVideo(data));
             break;
             
-        case 'composite':
-            // 合成前先重置状态
-            await resetWorkerState();
-            currentTask = 'composite';
-            isCancelled = false;
-            await compositeVideo(data);
-            currentTask = null;
+        case RequestType.PROBE:
+            enqueueJob(id, 'probe', () => probeFile(data));
             break;
             
-        case 'cancel':
-            cancelCurrentTask();
+        case RequestType.COMPOSITE:
+            enqueueJob(id, 'composite', () => compositeVideo(data));
+            break;
+
+        case RequestType.SPLIT:
+            enqueueJob(id, 'split', () => splitVideo(data));
+            break;
+
+        case RequestType.CONCAT:
+            enqueueJob(id, 'concat', () => concatVideo(data));
+            break;
+
+        case RequestType.EXTRACT_AUDIO:
+            enqueueJob(id, 'extract_audio', () => extractAudio(data));
+            break;
+
+        case RequestType.ANIMATE:
+            enqueueJob(id, 'animate', () => createAnimation(data));
+            break;
+
+        case RequestType.ANALYZE_SILENCE:
+            enqueueJob(id, 'analyze_silence', () => analyzeSilence(data));
+            break;
+
+        case RequestType.ANALYZE_SPEECH:
+            enqueueJob(id, 'analyze_speech', () => analyzeSpeech(data));
+            break;
+            
+        case RequestType.CANCEL:
+            // 取消不排队，立即设置标志
+            cancelCurrentTask(data ? data.jobId : null);
             break;
             
-        case 'reset':
-            await resetWorkerState();
-            self.postMessage({ type: 'reset_complete' });
+        case RequestType.RESET:
+            enqueueJob(id, null, async () => {
+                await resetWorkerState();
+                reply(ReplyType.RESET_COMPLETE);
+            });
             break;
             
         default:
-            self.postMessage({
-                type: 'error',
+            reply(ReplyType.ERROR, {
                 message: `未知命令: ${type}`
-            });
+            }, id);
     }
 };
 
 // 合成视频和背景
 async function compositeVideo(data) {
-    const { videoBuffer, options } = data;
-    const { pptBackground, videoScale, overlayPosition, outputSize, autoTrimStart = true } = options;
+    const { input, options } = data;
     
     try {
-        self.postMessage({ type: 'log', message: '🎬 Worker开始背景合成...' });
-
-        // 写入视频文件
-        const videoData = new Uint8Array(videoBuffer);
-        await ffmpeg.writeFile('input_video.webm', videoData);
-        self.postMessage({ type: 'log', message: `📹 输入视频大小: ${videoData.length} bytes` });
-
-        // 检测视频开始时间（可选）
-        let startTime = 0;
-        if (autoTrimStart) {
-            // 简化实现：暂时不进行复杂的检测
-            self.postMessage({ type: 'log', message: '📹 自动裁剪功能已启用，但暂时不执行复杂检测' });
-            startTime = 0; // 保持为0，避免复杂的Worker间通信
-        }
-
-        // 获取PPT背景图片
-        self.postMessage({ type: 'log', message: '📋 加载PPT背景图片...' });
-        const response = await fetch(pptBackground);
-        if (!response.ok) {
-            throw new Error(`无法加载PPT图片: ${response.status} ${response.statusText}`);
-        }
-        
-        const pptData = new Uint8Array(await response.arrayBuffer());
-        if (pptData.length === 0) {
-            throw new Error('PPT图片数据为空');
-        }
-        
-        self.postMessage({ type: 'log', message: `📋 PPT图片大小: ${pptData.length} bytes` });
-        await ffmpeg.writeFile('background.jpg', pptData);
-        
-        // 验证图片是否正确写入
-        try {
-            const verifyData = await ffmpeg.readFile('background.jpg');
-            if (verifyData.length === 0) {
-                throw new Error('图片写入失败');
-            }
-            self.postMessage({ type: 'log', message: `📋 图片验证成功: ${verifyData.length} bytes` });
-        } catch (verifyError) {
-            throw new Error(`图片验证失败: ${verifyError.message}`);
-        }
-
-        self.postMessage({ type: 'log', message: `🎯 合成参数: 视频缩放=${videoScale}, 叠加位置=${overlayPosition}, 输出尺寸=${outputSize}` });
-        
-        // 解析参数进行验证
-        const [scaleW, scaleH] = videoScale.split(':').map(Number);
-        const [overlayX, overlayY] = overlayPosition.split(':').map(Number);
-        const [outW, outH] = outputSize.split(':').map(Number);
-        self.postMessage({ type: 'log', message: `🔍 解析参数: 视频=${scaleW}x${scaleH}, 位置=(${overlayX},${overlayY}), 输出=${outW}x${outH}` });
-
-        // 确保输出尺寸是偶数（H.264要求）
-        const [outputWidth, outputHeight] = outputSize.split(':').map(Number);
-        const evenWidth = outputWidth % 2 === 0 ? outputWidth : outputWidth + 1;
-        const evenHeight = outputHeight % 2 === 0 ? outputHeight : outputHeight + 1;
-        const evenOutputSize = `${evenWidth}:${evenHeight}`;
-        
-        self.postMessage({ type: 'log', message: `📐 调整输出尺寸: ${outputSize} -> ${evenOutputSize} (确保偶数)` });
-
-        // 构建FFmpeg命令 - 修复静态背景与动态视频叠加问题
-        const command = [
-            '-loop', '1',                     // 循环背景图片
-            '-i', 'background.jpg',           // 背景图片
-        ];
-        
-        // 如果需要裁剪开头，添加 -ss 参数
-        if (startTime > 0) {
-            command.push('-ss', startTime.toString());
-        }
-        
-        command.push(
-            '-i', 'input_video.webm',         // 输入视频
-            '-filter_complex', 
-            `[0:v]scale=${evenOutputSize}[bg];[1:v]scale=${videoScale}[small];[bg][small]overlay=${overlayPosition}:shortest=1[v]`,
-            '-map', '[v]',                    // 映射合成的视频流
-            '-map', '1:a',                    // 映射原视频的音频流
-            '-c:v', 'libx264',                // H.264编码
-            '-preset', 'fast',                // 快速预设
-            '-crf', '23',                     // 质量设置
-            '-c:a', 'aac',                    // AAC音频
-            '-b:a', '128k',                   // 音频比特率
-            '-pix_fmt', 'yuv420p',           // 像素格式
-            '-avoid_negative_ts', 'make_zero', // 避免时间戳问题
-            '-t', '30',                       // 限制最长30秒（防止卡死）
-            'output_composite.mp4'
-        );
-
-        self.postMessage({ type: 'log', message: `🔧 FFmpeg合成命令: ${command.join(' ')}` });
-        
-        // 执行前检查输入文件
-        try {
-            const bgCheck = await ffmpeg.readFile('background.jpg');
-            const videoCheck = await ffmpeg.readFile('input_video.webm');
-            self.postMessage({ type: 'log', message: `✅ 执行前检查 - 背景图片: ${bgCheck.length} bytes, 视频: ${videoCheck.length} bytes` });
-        } catch (error) {
-            self.postMessage({ type: 'log', message: `❌ 执行前文件检查失败: ${error.message}` });
-        }
-        
-        // 执行前检查取消状态
-        if (isCancelled) {
-            self.postMessage({ type: 'log', message: '🛑 任务已取消，停止执行' });
-            throw new Error('Task cancelled before execution');
-        }
-        
-        self.postMessage({ type: 'log', message: '🔧 执行FFmpeg合成命令...' });
-        
-        // 由于FFmpeg.wasm无法中途取消，我们需要在这里强制重启Worker
-        if (isCancelled) {
-            self.postMessage({ type: 'log', message: '🛑 强制终止Worker进程' });
-            self.close(); // 强制关闭Worker
-            return;
-        }
-        
-        await ffmpeg.exec(command);
-        
-        // 执行后检查
-        self.postMessage({ type: 'log', message: '✅ FFmpeg命令执行完成，检查输出文件...' });
-
-        // 检查输出文件是否存在
-        let outputData;
-        try {
-            outputData = await ffmpeg.readFile('output_composite.mp4');
-            if (!outputData || outputData.length === 0) {
-                throw new Error('输出文件为空或不存在');
-            }
-            self.postMessage({ type: 'log', message: `📤 输出文件大小: ${outputData.length} bytes` });
-        } catch (fileError) {
-            self.postMessage({ type: 'log', message: `❌ 无法读取输出文件: ${fileError.message}` });
-            throw new Error(`合成失败：无法读取输出文件 - ${fileError.message}`);
-        }
-
-        // 验证文件大小
-        if (outputData.length < 1000) { // 小于1KB可能是无效文件
-            self.postMessage({ type: 'log', message: `❌ 输出文件太小 (${outputData.length} bytes)，可能合成失败` });
-            throw new Error('合成失败：输出文件太小，可能损坏');
-        }
-
-        // 清理临时文件
-        await ffmpeg.deleteFile('input_video.webm');
-        await ffmpeg.deleteFile('background.jpg');
-        await ffmpeg.deleteFile('output_composite.mp4');
+        const { data: outputData, ...report } = await tasks.composite(input, options);
 
-        self.postMessage({ type: 'log', message: '✅ Worker背景合成完成！' });
-        self.postMessage({ 
-            type: 'composite_complete', 
-            buffer: outputData.buffer 
-        }, [outputData.buffer]);
+        reply(ReplyType.COMPOSITE_COMPLETE, {
+            buffer: outputData.buffer,
+            ...report
+        }, currentJobId, [outputData.buffer]);
 
     } catch (error) {
-        self.postMessage({ type: 'log', message: `❌ Worker合成失败: ${error.message}` });
-        self.postMessage({ type: 'error', message: error.message });
+        log(`❌ Worker合成失败: ${error.message}`);
+        reply(ReplyType.ERROR, { message: error.message, name: error.name });
     }
 }
@@ -0,0 +1,170 @@
+/**
+ * 幻灯片背景库
+ * 用户拖入、选择或粘贴的背景图片保存在IndexedDB中，只保留最近使用的几张，下次打开页面可以直接选用
+ * 相同内容的图片（按SHA-256区分）只保存一份；IndexedDB不可用（如隐私模式）时只在内存中保存本次打开期间的图片
+ */
+
+// 支持的背景图片格式
+export const SLIDE_IMAGE_TYPES = Object.freeze(['image/png', 'image/jpeg', 'image/webp']);
+
+// 默认背景库参数
+export const DEFAULT_LIBRARY_OPTIONS = Object.freeze({
+    dbName: 'webm-to-mp4-slides',
+    storeName: 'slides',
+    maxItems: 8                // 最多保留的图片数，超出时删除最久没用的
+});
+
+export class SlideLibrary {
+    /**
+     * @param {object} options - 见 DEFAULT_LIBRARY_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_LIBRARY_OPTIONS, ...options };
+        this.dbPromise = null;
+        this.memory = new Map();     // IndexedDB不可用时的后备存储
+    }
+
+    /**
+     * 是否为支持的图片格式
+     * @param {Blob|null} blob - 图片文件
+     * @returns {boolean}
+     */
+    static isSupported(blob) {
+        return !!blob && SLIDE_IMAGE_TYPES.includes(blob.type);
+    }
+
+    /**
+     * 计算图片内容的ID（相同图片得到相同ID）
+     * @param {Blob} blob - 图片文件
+     * @returns {Promise<string>} 十六进制ID
+     */
+    static async computeId(blob) {
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+            return Array.from(new Uint8Array(digest).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        // 非安全上下文没有crypto.subtle，只能按大小和时间区分
+        return `${blob.size.toString(16)}-${Date.now().toString(16)}`;
+    }
+
+    // 打开数据库，失败时返回null（之后使用内存存储）
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.options.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.options.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // 在object store上执行一个请求，事务完成后返回请求结果
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.options.storeName, mode);
+            const request = action(transaction.objectStore(this.options.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // 读写单条记录（数据库不可用时使用内存存储）
+    async getRecord(id) {
+        if (!(await this.open())) return this.memory.get(id) || null;
+        return (await this.run('readonly', store => store.get(id))) || null;
+    }
+
+    async putRecord(record) {
+        if (!(await this.open())) {
+            this.memory.set(record.id, record);
+            return;
+        }
+        await this.run('readwrite', store => store.put(record));
+    }
+
+    async deleteRecord(id) {
+        if (!(await this.open())) {
+            this.memory.delete(id);
+            return;
+        }
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 列出保存的图片，最近使用的在前
+     * @returns {Promise<{id: string, name: string, type: string, size: number, blob: Blob, addedAt: number, lastUsedAt: number}[]>}
+     */
+    async list() {
+        const records = (await this.open())
+            ? await this.run('readonly', store => store.getAll())
+            : Array.from(this.memory.values());
+        return records.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    }
+
+    /**
+     * 保存图片（已保存过的图片只更新使用时间），超出数量时删除最久没用的
+     * @param {Blob} blob - 图片文件（PNG/JPEG/WebP）
+     * @param {string} name - 显示的名称（如文件名）
+     * @returns {Promise<object>} 保存的记录
+     * @throws {Error} 格式不支持时
+     */
+    async add(blob, name = '') {
+        if (!SlideLibrary.isSupported(blob)) {
+            throw new Error(`不支持的图片格式: ${blob && blob.type ? blob.type : '未知'}（支持 PNG、JPEG、WebP）`);
+        }
+
+        const id = await SlideLibrary.computeId(blob);
+        const now = Date.now();
+        const existing = await this.getRecord(id);
+        const record = existing
+            ? { ...existing, lastUsedAt: now }
+            : { id, name: name || '幻灯片', type: blob.type, size: blob.size, blob, addedAt: now, lastUsedAt: now };
+
+        await this.putRecord(record);
+        await this.prune();
+        return record;
+    }
+
+    /**
+     * 标记图片刚被使用（排到最前）
+     * @param {string} id - 图片ID
+     * @returns {Promise<object|null>} 更新后的记录，不存在时返回null
+     */
+    async touch(id) {
+        const record = await this.getRecord(id);
+        if (!record) return null;
+
+        const updated = { ...record, lastUsedAt: Date.now() };
+        await this.putRecord(updated);
+        return updated;
+    }
+
+    /**
+     * 删除图片
+     * @param {string} id - 图片ID
+     */
+    async remove(id) {
+        await this.deleteRecord(id);
+    }
+
+    // 只保留最近使用的 maxItems 张
+    async prune() {
+        const records = await this.list();
+        for (const record of records.slice(this.options.maxItems)) {
+            await this.deleteRecord(record.id);
+        }
+    }
+}
+
+export default SlideLibrary;
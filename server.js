@@ -21,6 +21,10 @@ app.use(express.static('.', {
             res.setHeader('Content-Type', 'audio/mpeg');
         } else if (path.endsWith('.wav')) {
             res.setHeader('Content-Type', 'audio/wav');
+        } else if (path.endsWith('.m4a')) {
+            res.setHeader('Content-Type', 'audio/mp4');
+        } else if (path.endsWith('.opus')) {
+            res.setHeader('Content-Type', 'audio/ogg');
         }
     }
 }));
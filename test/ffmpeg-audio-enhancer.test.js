@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AudioEnhancer from '../modules/ffmpeg-audio-enhancer.js';
+import FFmpegCommandBuilder from '../modules/ffmpeg-command-builder.js';
+import MediaProbe from '../modules/ffmpeg-media-probe.js';
+
+const LOUDNORM_LOG = `[Parsed_loudnorm_2 @ 0x1]
+{
+	"input_i" : "-27.61",
+	"input_tp" : "-8.10",
+	"input_lra" : "5.20",
+	"input_thresh" : "-38.02",
+	"output_i" : "-16.01",
+	"output_tp" : "-1.50",
+	"output_lra" : "4.30",
+	"output_thresh" : "-26.40",
+	"normalization_type" : "dynamic",
+	"target_offset" : "0.01"
+}`;
+
+test('parseLoudnormStats 解析loudnorm的JSON统计', () => {
+    assert.deepEqual(MediaProbe.parseLoudnormStats(LOUDNORM_LOG), {
+        integrated: -27.61,
+        truePeak: -8.1,
+        loudnessRange: 5.2,
+        threshold: -38.02,
+        targetOffset: 0.01
+    });
+    assert.equal(MediaProbe.parseLoudnormStats('no stats'), null);
+});
+
+test('isEnabled / resolve 默认全部关闭，null使用默认值', () => {
+    assert.equal(AudioEnhancer.isEnabled(null), false);
+    assert.equal(AudioEnhancer.isEnabled({ limiter: true }), true);
+    assert.equal(AudioEnhancer.resolve({ targetLoudness: null }).targetLoudness, -16);
+});
+
+test('buildFilterChain 按高通、降噪、响度标准化、限幅的顺序串联', () => {
+    const settings = AudioEnhancer.resolve({ highpass: true, denoise: true, loudnorm: true, limiter: true });
+    const measured = MediaProbe.parseLoudnormStats(LOUDNORM_LOG);
+
+    assert.equal(
+        AudioEnhancer.buildFilterChain(settings, measured),
+        'highpass=f=80,afftdn=nr=12:nf=-50,'
+            + 'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-27.61:measured_TP=-8.1:measured_LRA=5.2'
+            + ':measured_thresh=-38.02:offset=0.01:linear=true,'
+            + 'alimiter=limit=0.8913:level=0'
+    );
+    assert.equal(AudioEnhancer.buildFilterChain(AudioEnhancer.resolve({})), null);
+});
+
+test('测量值无效（整段静音）时退回单遍标准化', () => {
+    const settings = AudioEnhancer.resolve({ loudnorm: true });
+    const silent = { integrated: -Infinity, truePeak: -Infinity, loudnessRange: 0, threshold: -70, targetOffset: 0 };
+
+    assert.equal(AudioEnhancer.isValidMeasurement(silent), false);
+    assert.equal(AudioEnhancer.buildFilterChain(settings, silent), 'loudnorm=I=-16:TP=-1.5:LRA=11');
+    assert.equal(AudioEnhancer.describeLoudness(silent), '无法测量');
+});
+
+test('buildLoudnessMeasureCommand 裁剪时只测量保留区间的音频', () => {
+    const filter = AudioEnhancer.getLoudnormFilter(AudioEnhancer.resolve({}), null, { printStats: true });
+    const plain = FFmpegCommandBuilder.buildLoudnessMeasureCommand('input.webm', filter);
+    assert.equal(plain[plain.indexOf('-af') + 1], filter);
+
+    const trimmed = FFmpegCommandBuilder.buildLoudnessMeasureCommand('input.webm', filter, {
+        ranges: [{ start: 0, end: 2 }, { start: 5, end: null }],
+        hasAudio: true
+    });
+    const graph = trimmed[trimmed.indexOf('-filter_complex') + 1];
+    assert.ok(!graph.includes('[0:v]'));
+    assert.match(graph, /concat=n=2:v=0:a=1/);
+    assert.ok(graph.endsWith(`${filter}[aout]`));
+    assert.equal(trimmed[trimmed.indexOf('-map') + 1], '[aout]');
+});
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import FFmpegCommandBuilder, { DEFAULT_ENCODE_OPTIONS, QUALITY_PROFILES } from '../modules/ffmpeg-command-builder.js';
+import { TRANSCODE_PLAN } from '../modules/ffmpeg-media-probe.js';
+
+// 取出参数值（如 valueOf(command, '-crf')）
+const valueOf = (command, name) => {
+    const index = command.indexOf(name);
+    return index >= 0 ? command[index + 1] : undefined;
+};
+
+test('resolveEncodeOptions 合并默认参数', () => {
+    const resolved = FFmpegCommandBuilder.resolveEncodeOptions({ crf: 20, preset: undefined });
+    assert.equal(resolved.crf, 20);
+    assert.equal(resolved.preset, DEFAULT_ENCODE_OPTIONS.preset);
+    assert.equal(resolved.audioSampleRate, DEFAULT_ENCODE_OPTIONS.audioSampleRate);
+});
+
+test('buildConvertCommand 流复制', () => {
+    const command = FFmpegCommandBuilder.buildConvertCommand({ strategy: 'remux', video: 'copy', audio: 'copy' });
+    assert.deepEqual(command.slice(0, 2), ['-i', 'input.webm']);
+    assert.equal(valueOf(command, '-c:v'), 'copy');
+    assert.equal(valueOf(command, '-c:a'), 'copy');
+    assert.equal(valueOf(command, '-strict'), 'experimental');
+    assert.equal(command[command.length - 1], 'output.mp4');
+});
+
+test('buildConvertCommand 重编码使用相同的选项', () => {
+    const options = { crf: 23, preset: 'veryfast', audioBitrate: '128k' };
+    const command = FFmpegCommandBuilder.buildConvertCommand(TRANSCODE_PLAN, options, { input: 'a.webm', output: 'b.mp4' });
+    assert.equal(valueOf(command, '-i'), 'a.webm');
+    assert.equal(valueOf(command, '-c:v'), 'libx264');
+    assert.equal(valueOf(command, '-crf'), '23');
+    assert.equal(valueOf(command, '-preset'), 'veryfast');
+    assert.equal(valueOf(command, '-c:a'), 'aac');
+    assert.equal(valueOf(command, '-b:a'), '128k');
+    assert.equal(valueOf(command, '-strict'), undefined);
+    assert.equal(command[command.length - 1], 'b.mp4');
+    assert.deepEqual(FFmpegCommandBuilder.buildConvertCommand(TRANSCODE_PLAN, options, { input: 'a.webm', output: 'b.mp4' }), command);
+});
+
+test('buildConvertCommand 只复制视频流', () => {
+    const command = FFmpegCommandBuilder.buildConvertCommand({ strategy: 'copy-video', video: 'copy', audio: 'transcode' });
+    assert.equal(valueOf(command, '-c:v'), 'copy');
+    assert.equal(valueOf(command, '-c:a'), 'aac');
+});
+
+test('toEvenSize 把奇数尺寸加一', () => {
+    assert.equal(FFmpegCommandBuilder.toEvenSize('1279:719'), '1280:720');
+    assert.equal(FFmpegCommandBuilder.toEvenSize('640:480'), '640:480');
+});
+
+test('buildCompositeCommand 使用偶数输出尺寸', () => {
+    const command = FFmpegCommandBuilder.buildCompositeCommand({
+        videoScale: '320:240',
+        overlayPosition: '10:10',
+        outputSize: '1279:719'
+    });
+    assert.match(valueOf(command, '-filter_complex'), /scale=1280:720/);
+    assert.equal(valueOf(command, '-c:v'), 'libx264');
+    assert.equal(command[command.length - 1], 'output_composite.mp4');
+});
+
+test('getVideoEncodeArgs 按档位设置H.264 profile、level、GOP和B帧', () => {
+    const fast = FFmpegCommandBuilder.getVideoEncodeArgs({ ...QUALITY_PROFILES.speed, frameRate: 30 });
+    assert.equal(valueOf(fast, '-profile:v'), 'baseline');
+    assert.equal(valueOf(fast, '-level:v'), undefined);
+    assert.equal(valueOf(fast, '-g'), '30');
+    assert.equal(valueOf(fast, '-bf'), '0');
+
+    const balanced = FFmpegCommandBuilder.getVideoEncodeArgs(QUALITY_PROFILES.balanced);
+    assert.equal(valueOf(balanced, '-profile:v'), 'main');
+    assert.equal(valueOf(balanced, '-g'), '60');
+
+    const quality = FFmpegCommandBuilder.getVideoEncodeArgs(QUALITY_PROFILES.quality);
+    assert.equal(valueOf(quality, '-profile:v'), 'high');
+    for (const name of ['-level:v', '-g', '-bf', '-sc_threshold', '-tune', '-x264-params']) {
+        assert.equal(valueOf(quality, name), undefined, name);
+    }
+
+    assert.equal(valueOf(FFmpegCommandBuilder.getVideoEncodeArgs({ h264Level: '4.0' }), '-level:v'), '4.0');
+});
+
+test('parseSegmentList 解析切分列表', () => {
+    const csv = 'segment_000.webm,0.000000,61.200000\nsegment_001.webm,61.200000,90.033000\n';
+    assert.deepEqual(FFmpegCommandBuilder.parseSegmentList(csv), [
+        { file: 'segment_000.webm', start: 0, end: 61.2 },
+        { file: 'segment_001.webm', start: 61.2, end: 90.033 }
+    ]);
+});
+
+test('buildConcatCommand 复制视频片段，音频从完整输入统一编码', () => {
+    const copyAll = FFmpegCommandBuilder.buildConcatCommand();
+    assert.equal(valueOf(copyAll, '-c'), 'copy');
+
+    const command = FFmpegCommandBuilder.buildConcatCommand({ audioInput: 'input.webm' }, { audioBitrate: '128k' });
+    assert.deepEqual(command.filter((arg, index) => command[index - 1] === '-i'), ['concat.txt', 'input.webm']);
+    assert.deepEqual(command.filter((arg, index) => command[index - 1] === '-map'), ['0:v:0', '1:a:0?']);
+    assert.equal(valueOf(command, '-c:v'), 'copy');
+    assert.equal(valueOf(command, '-c:a'), 'aac');
+    assert.equal(valueOf(command, '-b:a'), '128k');
+});
+
+test('buildConvertCommand 不需要的音频流使用 -an', () => {
+    const command = FFmpegCommandBuilder.buildConvertCommand({ ...TRANSCODE_PLAN, audio: 'none' });
+    assert.ok(command.includes('-an'));
+    assert.equal(valueOf(command, '-c:a'), undefined);
+});
+
+test('buildFallbackCommand 只编码视频时各级都不输出音频', () => {
+    for (const rung of ['x264-baseline', 'x264-safe', 'mpeg4-mp3']) {
+        const command = FFmpegCommandBuilder.buildFallbackCommand(rung, { ...TRANSCODE_PLAN, audio: 'none' }, { videoOnly: true });
+        assert.ok(command.includes('-an'), rung);
+        assert.equal(valueOf(command, '-c:a'), undefined, rung);
+    }
+});
+
+test('getRungCodecs 按级别和策略给出期望的输出编码', () => {
+    const input = { video: 'vp8', audio: 'opus' };
+    assert.deepEqual(FFmpegCommandBuilder.getRungCodecs('x264-safe', TRANSCODE_PLAN, input), { video: 'h264', audio: 'aac' });
+    assert.deepEqual(FFmpegCommandBuilder.getRungCodecs('mpeg4-mp3', TRANSCODE_PLAN, input), { video: 'mpeg4', audio: 'mp3' });
+    assert.deepEqual(
+        FFmpegCommandBuilder.getRungCodecs('remux', { strategy: 'copy-video', video: 'copy', audio: 'transcode' }, input),
+        { video: 'vp8', audio: 'aac' }
+    );
+    assert.deepEqual(
+        FFmpegCommandBuilder.getRungCodecs('remux', { strategy: 'remux', video: 'copy', audio: 'none' }, input),
+        { video: 'vp8', audio: null }
+    );
+});
+
+test('buildTrimFilterGraph 单个区间直接trim，多个区间split后用concat拼接', () => {
+    assert.equal(
+        FFmpegCommandBuilder.buildTrimFilterGraph([{ start: 2, end: 5 }], { videoFilter: 'scale=640:360' }),
+        '[0:v]trim=start=2:end=5,setpts=PTS-STARTPTS,scale=640:360[vout];[0:a]atrim=start=2:end=5,asetpts=PTS-STARTPTS[aout]'
+    );
+
+    const graph = FFmpegCommandBuilder.buildTrimFilterGraph([{ start: 0, end: 3 }, { start: 6, end: null }], { hasAudio: false });
+    assert.equal(graph, [
+        '[0:v]split=2[vs0][vs1]',
+        '[vs0]trim=start=0:end=3,setpts=PTS-STARTPTS[v0]',
+        '[vs1]trim=start=6,setpts=PTS-STARTPTS[v1]',
+        '[v0][v1]concat=n=2:v=1:a=0[vcat]',
+        '[vcat]null[vout]'
+    ].join(';'));
+});
+
+test('applyTrimFilter 把 -vf/-af 移到裁剪之后，只编码视频时不映射音频', () => {
+    const trimFilter = { ranges: [{ start: 1, end: 4 }], hasAudio: true };
+    const command = FFmpegCommandBuilder.applyTrimFilter(['-i', 'input.webm', '-vf', 'fps=30', '-c:v', 'libx264', '-an', 'output.mp4'], trimFilter);
+    assert.deepEqual(command.slice(0, 6), [
+        '-i', 'input.webm',
+        '-filter_complex', '[0:v]trim=start=1:end=4,setpts=PTS-STARTPTS,fps=30[vout]',
+        '-map', '[vout]'
+    ]);
+    assert.equal(valueOf(command, '-vf'), undefined);
+    assert.throws(() => FFmpegCommandBuilder.applyTrimFilter(['-i', 'input.webm', '-c', 'copy', 'out.mkv'], trimFilter), /只能用于重编码/);
+});
+
+test('buildConcatCommand 拼接时对完整音频应用音频增强滤镜', () => {
+    const command = FFmpegCommandBuilder.buildConcatCommand({ audioInput: 'input.webm' }, { audioFilter: 'highpass=f=80' });
+    assert.equal(valueOf(command, '-af'), 'highpass=f=80');
+    assert.equal(valueOf(FFmpegCommandBuilder.buildConcatCommand({}, { audioFilter: 'highpass=f=80' }), '-af'), undefined);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MediaProbe, { TRANSCODE_PLAN } from '../modules/ffmpeg-media-probe.js';
+
+// MediaRecorder录制的WebM（没有时长）
+const WEBM_LOG = [
+    "Input #0, matroska,webm, from 'input.webm':",
+    '  Metadata:',
+    '    encoder         : Chrome',
+    '  Duration: N/A, start: 0.000000, bitrate: N/A',
+    '  Stream #0:0(eng): Video: vp9 (Profile 0), yuv420p(tv, bt709), 1280x720, SAR 1:1 DAR 16:9, 30 fps, 30 tbr, 1k tbn (default)',
+    '  Stream #0:1(eng): Audio: opus, 48000 Hz, mono, fltp (default)'
+].join('\n');
+
+// 普通MP4
+const MP4_LOG = [
+    "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'output.mp4':",
+    '  Duration: 00:01:02.50, start: 0.000000, bitrate: 1500 kb/s',
+    '  Stream #0:0[0x1](und): Video: h264 (Constrained Baseline) (avc1 / 0x31637661), yuv420p(progressive), 640x480, 1370 kb/s, 30 fps, 30 tbr, 15360 tbn (default)',
+    '  Stream #0:1[0x2](und): Audio: aac (LC) (mp4a / 0x6134706D), 44100 Hz, stereo, fltp, 96 kb/s (default)'
+].join('\n');
+
+test('parseTimestamp / parseLastProgressTime', () => {
+    assert.equal(MediaProbe.parseTimestamp('00:01:02.50'), 62.5);
+    assert.equal(MediaProbe.parseTimestamp('N/A'), null);
+    assert.equal(MediaProbe.parseLastProgressTime('frame=1 time=00:00:01.00 x\nframe=2 time=00:00:12.34 x'), 12.34);
+    assert.equal(MediaProbe.parseLastProgressTime('no progress'), null);
+});
+
+test('parseMediaInfo 解析没有时长的WebM', () => {
+    const info = MediaProbe.parseMediaInfo(WEBM_LOG);
+    assert.equal(info.container, 'matroska,webm');
+    assert.equal(info.duration, null);
+
+    const video = MediaProbe.getStream(info, 'video');
+    assert.equal(video.codec, 'vp9');
+    assert.equal(video.width, 1280);
+    assert.equal(video.height, 720);
+    assert.equal(video.frameRate, 30);
+
+    const audio = MediaProbe.getStream(info, 'audio');
+    assert.equal(audio.codec, 'opus');
+    assert.equal(audio.sampleRate, 48000);
+    assert.equal(audio.channels, 1);
+});
+
+test('parseMediaInfo 解析MP4的时长和码率', () => {
+    const info = MediaProbe.parseMediaInfo(MP4_LOG);
+    assert.equal(info.duration, 62.5);
+    assert.equal(info.bitrate, 1500000);
+    assert.deepEqual(info.streams.map(stream => [stream.index, stream.type, stream.codec]), [[0, 'video', 'h264'], [1, 'audio', 'aac']]);
+    assert.equal(MediaProbe.getStream(info, 'audio').channels, 2);
+});
+
+test('parseFrameRate 忽略作为时间基的1k tbr', () => {
+    assert.equal(MediaProbe.parseFrameRate('Video: vp8, yuv420p, 640x480, 1k tbr, 1k tbn'), null);
+    assert.equal(MediaProbe.parseFrameRate('Video: vp8, yuv420p, 640x480, 29.97 fps, 29.97 tbr'), 29.97);
+});
+
+test('planStreamCopy 按编码选择策略', () => {
+    const plan = (video, audio) => MediaProbe.planStreamCopy([
+        ...(video ? [{ type: 'video', codec: video }] : []),
+        ...(audio ? [{ type: 'audio', codec: audio }] : [])
+    ]);
+
+    assert.deepEqual(plan('vp9', 'opus'), { strategy: 'remux', video: 'copy', audio: 'copy' });
+    assert.deepEqual(plan('vp8', 'opus'), { strategy: 'copy-audio', video: 'transcode', audio: 'copy' });
+    assert.deepEqual(plan('h264', 'vorbis'), { strategy: 'copy-video', video: 'copy', audio: 'transcode' });
+    assert.deepEqual(plan('vp8', 'vorbis'), TRANSCODE_PLAN);
+    assert.deepEqual(plan('vp9', null), { strategy: 'remux', video: 'copy', audio: 'none' });
+    assert.deepEqual(MediaProbe.planStreamCopy([]), TRANSCODE_PLAN);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import OutputValidator, { ValidationCode } from '../modules/ffmpeg-output-validator.js';
+
+// 构造顶层box：4字节大小 + 4字节类型 + 内容
+const box = (type, payloadSize = 0) => {
+    const data = new Uint8Array(8 + payloadSize);
+    new DataView(data.buffer).setUint32(0, data.length);
+    data.set(Array.from(type, char => char.charCodeAt(0)), 4);
+    return data;
+};
+
+const concatBytes = (...parts) => {
+    const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        data.set(part, offset);
+        offset += part.length;
+    }
+    return data;
+};
+
+const mediaInfo = ({ duration = 10, video = 'h264', audio = 'aac', frameRate = 30 } = {}) => ({
+    duration,
+    streams: [
+        video && { index: 0, type: 'video', codec: video, frameRate },
+        audio && { index: 1, type: 'audio', codec: audio }
+    ].filter(Boolean)
+});
+
+const codes = (items) => items.map(item => item.code);
+
+test('listTopLevelBoxes / isFastStart 判断moov位置', () => {
+    const faststart = concatBytes(box('ftyp', 8), box('moov', 16), box('mdat', 32));
+    assert.deepEqual(OutputValidator.listTopLevelBoxes(faststart).map(item => item.type), ['ftyp', 'moov', 'mdat']);
+    assert.equal(OutputValidator.isFastStart(faststart), true);
+
+    assert.equal(OutputValidator.isFastStart(concatBytes(box('ftyp'), box('mdat', 32), box('moov', 16))), false);
+    assert.equal(OutputValidator.isFastStart(concatBytes(box('ftyp'), box('mdat'))), null);
+});
+
+test('validate 正常输出没有错误和警告', () => {
+    const result = OutputValidator.validate({
+        output: mediaInfo({ duration: 10.02 }),
+        input: mediaInfo({ duration: 10, video: 'vp9', audio: 'opus' }),
+        frameCount: 300,
+        faststart: true
+    });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.details.expectedFrameCount, 301);
+});
+
+test('validate 编码与期望不一致时报错，期望为null时不检查', () => {
+    const probe = { output: mediaInfo({ video: 'mpeg4', audio: 'mp3' }), frameCount: 300 };
+
+    assert.deepEqual(codes(OutputValidator.validate(probe).errors), [ValidationCode.VIDEO_CODEC, ValidationCode.AUDIO_CODEC]);
+    assert.equal(OutputValidator.validate(probe, { videoCodec: 'mpeg4', audioCodec: 'mp3' }).valid, true);
+    assert.equal(OutputValidator.validate(probe, { videoCodec: null, audioCodec: null }).valid, true);
+});
+
+test('validate 缺少音频时按输入是否有音频区分错误和警告', () => {
+    const output = mediaInfo({ audio: null });
+
+    const withAudio = OutputValidator.validate({ output, input: mediaInfo() });
+    assert.deepEqual(codes(withAudio.errors), [ValidationCode.NO_AUDIO]);
+
+    const silentInput = OutputValidator.validate({ output, input: mediaInfo({ audio: null }) });
+    assert.equal(silentInput.valid, true);
+    assert.deepEqual(codes(silentInput.warnings), [ValidationCode.NO_AUDIO]);
+});
+
+test('validate 检查时长、帧数和faststart', () => {
+    const result = OutputValidator.validate({
+        output: mediaInfo({ duration: 6 }),
+        input: mediaInfo({ duration: 10 }),
+        frameCount: 40,
+        faststart: false
+    });
+    assert.deepEqual(codes(result.errors), [ValidationCode.DURATION_MISMATCH]);
+    assert.deepEqual(codes(result.warnings), [ValidationCode.NOT_FASTSTART, ValidationCode.FRAME_COUNT]);
+
+    // 短视频至少允许1秒误差；expectedDuration优先于输入时长
+    assert.equal(OutputValidator.validate({ output: mediaInfo({ duration: 3.8 }), expectedDuration: 3 }).valid, true);
+    assert.deepEqual(codes(OutputValidator.validate({ output: mediaInfo({ duration: 0 }) }).errors), [ValidationCode.DURATION_UNKNOWN]);
+    assert.deepEqual(codes(OutputValidator.validate({ output: mediaInfo(), frameCount: 0 }).errors), [ValidationCode.NO_FRAMES]);
+});
+
+test('checkShortened 只在输出短于输入超过允许误差时返回差值', () => {
+    assert.deepEqual(OutputValidator.checkShortened(50, 60), {
+        expectedDuration: 60,
+        outputDuration: 50,
+        missing: 10,
+        message: '输出只有 50.00秒，比输入的 60.00秒 短 10.00秒'
+    });
+    assert.equal(OutputValidator.checkShortened(57.5, 60), null);
+    assert.equal(OutputValidator.checkShortened(9.2, 10), null);
+    assert.equal(OutputValidator.checkShortened(null, 60), null);
+    assert.equal(OutputValidator.checkShortened(50, 0), null);
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import OverlayStyle, { DEFAULT_OVERLAY_STYLE } from '../modules/ffmpeg-overlay-style.js';
+
+const GRAPH = { source: '[1:v]', background: '[bg]', x: 10, y: 20, output: '[v]' };
+
+test('resolve 合并默认样式，null表示使用默认值', () => {
+    const settings = OverlayStyle.resolve({ shape: 'circle', borderColor: null, mirror: true });
+    assert.equal(settings.shape, 'circle');
+    assert.equal(settings.borderColor, DEFAULT_OVERLAY_STYLE.borderColor);
+    assert.equal(settings.mirror, true);
+
+    assert.equal(OverlayStyle.isPlain(OverlayStyle.resolve()), true);
+    assert.equal(OverlayStyle.isPlain(settings), false);
+    assert.throws(() => OverlayStyle.resolve({ shape: 'star' }), /不支持的画面形状/);
+    assert.throws(() => OverlayStyle.resolve({ borderColor: 'red' }), /无效的边框颜色/);
+});
+
+test('parseColor 解析 #rrggbb', () => {
+    assert.deepEqual(OverlayStyle.parseColor('#FF8000'), { r: 255, g: 128, b: 0 });
+});
+
+test('getLayout 圆形从画面中间裁成正方形，偏移取偶数', () => {
+    const layout = OverlayStyle.getLayout(642, 360, OverlayStyle.resolve({ shape: 'circle' }));
+    assert.deepEqual(layout, {
+        scaleWidth: 642,
+        scaleHeight: 360,
+        width: 360,
+        height: 360,
+        cropX: 140,
+        cropY: 0,
+        radius: 180,
+        borderWidth: 0,
+        shadow: null
+    });
+});
+
+test('getLayout 圆角、边框和投影按画面短边计算', () => {
+    const layout = OverlayStyle.getLayout(320, 180, OverlayStyle.resolve({ shape: 'rounded', borderWidth: 500, shadow: true }));
+    assert.equal(layout.radius, 22);
+    assert.equal(layout.borderWidth, 90);
+    assert.deepEqual(layout.shadow, { blur: 14, offset: 5, padding: 28, opacity: 0.5 });
+});
+
+test('getShapeExpression 生成覆盖率表达式', () => {
+    assert.equal(OverlayStyle.getShapeExpression(4, 2, 0),
+        'clip(0.5-(hypot(max(abs(X-1.5)-2,0),max(abs(Y-0.5)-1,0))+min(max(abs(X-1.5)-2,abs(Y-0.5)-1),0)-0),0,1)');
+    assert.match(OverlayStyle.getShapeExpression(100, 100, 50, { inset: 4 }), /-46\),0,1\)$/);
+});
+
+test('buildFilterGraph 普通矩形直接缩放叠加', () => {
+    const settings = OverlayStyle.resolve();
+    const layout = OverlayStyle.getLayout(320, 180, settings);
+    assert.equal(OverlayStyle.buildFilterGraph(GRAPH, layout, settings),
+        '[1:v]scale=320:180[cam];[bg][cam]overlay=10:20:shortest=1[v]');
+});
+
+test('buildFilterGraph 按顺序处理镜像、边框、形状和投影', () => {
+    const settings = OverlayStyle.resolve({ shape: 'circle', borderWidth: 4, borderColor: '#ff0000', shadow: true, mirror: true });
+    const layout = OverlayStyle.getLayout(320, 180, settings);
+    const parts = OverlayStyle.buildFilterGraph(GRAPH, layout, settings).split(';');
+
+    assert.equal(parts[0], '[1:v]scale=320:180,crop=180:180:70:0,hflip[cam]');
+    assert.match(parts[1], /^color=c=black:s=180x180:r=1:d=1,format=rgba,geq=r=255:g=0:b=0:a=/);
+    assert.equal(parts[2], '[cam][ring]overlay=0:0[camborder]');
+    assert.match(parts[3], /^color=c=black:s=180x180:r=1:d=1,format=gray,geq=lum=/);
+    assert.equal(parts[4], '[camborder][mask]alphamerge[camshape]');
+    assert.match(parts[5], /^color=c=black:s=236x236:r=1:d=1,format=rgba,geq=.*gblur=sigma=7\[shadow\]$/);
+    assert.equal(parts[6], '[bg][shadow]overlay=-13:-3[bgshadow]');
+    assert.equal(parts[7], '[bgshadow][camshape]overlay=10:20:shortest=1[v]');
+});
+
+test('describe 列出样式', () => {
+    assert.equal(OverlayStyle.describe(OverlayStyle.resolve()), '矩形');
+    assert.equal(OverlayStyle.describe(OverlayStyle.resolve({ shape: 'circle', borderWidth: 4, shadow: true, mirror: true })),
+        '圆形、边框 4px #ffffff、投影、镜像');
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SilenceAnalyzer from '../modules/ffmpeg-silence-analyzer.js';
+import MediaProbe from '../modules/ffmpeg-media-probe.js';
+
+const SILENCE_LOG = [
+    '[silencedetect @ 0x1] silence_start: -0.02',
+    '[silencedetect @ 0x1] silence_end: 1.5 | silence_duration: 1.52',
+    '[silencedetect @ 0x1] silence_start: 4',
+    '[silencedetect @ 0x1] silence_end: 7 | silence_duration: 3',
+    '[silencedetect @ 0x1] silence_start: 8.2',
+    '[silencedetect @ 0x1] silence_end: 8.8 | silence_duration: 0.6',
+    '[silencedetect @ 0x1] silence_start: 11'
+].join('\n');
+
+test('parseSilences 解析silencedetect日志，未结束的静音end为null', () => {
+    assert.deepEqual(MediaProbe.parseSilences(SILENCE_LOG), [
+        { start: -0.02, end: 1.5 },
+        { start: 4, end: 7 },
+        { start: 8.2, end: 8.8 },
+        { start: 11, end: null }
+    ]);
+});
+
+test('analyze 区分首尾静音和中间停顿', () => {
+    const analysis = SilenceAnalyzer.analyze(MediaProbe.parseSilences(SILENCE_LOG), 12);
+
+    assert.deepEqual(analysis.leading, { start: 0, end: 1.5, duration: 1.5, position: 'leading' });
+    assert.deepEqual(analysis.trailing, { start: 11, end: 12, duration: 1, position: 'trailing' });
+    assert.deepEqual(analysis.pauses.map(({ start, end }) => [start, end]), [[4, 7]]);
+    assert.equal(analysis.silentOnly, false);
+});
+
+test('analyze 整段静音时 silentOnly 为true，planCuts 不剪', () => {
+    const analysis = SilenceAnalyzer.analyze([{ start: 0, end: null }], 5);
+    assert.equal(analysis.silentOnly, true);
+    assert.deepEqual(SilenceAnalyzer.planCuts(analysis), []);
+});
+
+test('planCuts 去掉首尾静音并缩短过长的停顿', () => {
+    const analysis = SilenceAnalyzer.analyze(MediaProbe.parseSilences(SILENCE_LOG), 12);
+    const cuts = SilenceAnalyzer.planCuts(analysis, { maxPause: 1 });
+
+    assert.equal(cuts.length, 3);
+    assert.deepEqual(cuts[0], { start: 0, end: 1.3 });
+    assert.deepEqual(cuts[1], { start: 4.5, end: 6.5 });
+    assert.equal(cuts[2].start.toFixed(1), '11.2');
+    assert.equal(cuts[2].end, 12);
+    assert.equal(SilenceAnalyzer.getCutDuration(cuts).toFixed(1), '4.1');
+
+    assert.deepEqual(SilenceAnalyzer.planCuts(analysis, { trimEdges: false }), []);
+    assert.equal(SilenceAnalyzer.hasSilenceTrim({ maxPause: 2 }), true);
+    assert.equal(SilenceAnalyzer.hasSilenceTrim({}), false);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SlideTimeline from '../modules/ffmpeg-slide-timeline.js';
+
+// 保留0-5秒和10秒到结尾
+const RANGES = [{ start: 0, end: 5 }, { start: 10, end: null }];
+
+test('normalize 按开始时间排序，第一张从0开始', () => {
+    const slides = SlideTimeline.normalize([
+        { image: 'b', start: 8 },
+        { image: 'a', start: 2 },
+        { image: 'c', start: 8 }
+    ]);
+    assert.deepEqual(slides, [
+        { image: 'a', start: 0 },
+        { image: 'b', start: 8 },
+        { image: 'c', start: 8 }
+    ]);
+
+    assert.throws(() => SlideTimeline.normalize([]), /至少需要一张幻灯片/);
+    assert.throws(() => SlideTimeline.normalize([{ image: 'a', start: -1 }]), /开始时间无效/);
+});
+
+test('toOutputTime 扣除剪掉的部分，落在剪掉部分的时间对应下一个区间的开头', () => {
+    assert.equal(SlideTimeline.toOutputTime(7), 7);
+    assert.equal(SlideTimeline.toOutputTime(3, RANGES), 3);
+    assert.equal(SlideTimeline.toOutputTime(7, RANGES), 5);
+    assert.equal(SlideTimeline.toOutputTime(12, RANGES), 7);
+});
+
+test('planSegments 换算输出中的显示时长，丢弃的幻灯片由前一张接着显示', () => {
+    const segments = SlideTimeline.planSegments([
+        { image: 'a', start: 0 },
+        { image: 'b', start: 4 },
+        { image: 'c', start: 6 },
+        { image: 'd', start: 9 }
+    ], { ranges: RANGES });
+
+    assert.deepEqual(segments, [
+        { image: 'a', start: 0, duration: 4 },
+        { image: 'b', start: 4, duration: 1 },
+        { image: 'd', start: 5, duration: null }
+    ]);
+    assert.equal(SlideTimeline.describe(segments), '0.00-4.00秒、4.00-5.00秒、5.00秒-结尾');
+});
+
+test('planSegments 丢弃结尾显示不到一帧的幻灯片，至少保留一张', () => {
+    assert.deepEqual(SlideTimeline.planSegments([
+        { image: 'a', start: 0 },
+        { image: 'b', start: 9.99 }
+    ], { duration: 10 }), [{ image: 'a', start: 0, duration: null }]);
+
+    assert.deepEqual(SlideTimeline.planSegments([{ image: 'a', start: 3 }], { duration: 0.01 }),
+        [{ image: 'a', start: 0, duration: null }]);
+});
+
+test('getSlideIndexAt 返回某一时间显示的幻灯片', () => {
+    const slides = [{ start: 0 }, { start: 5 }, { start: 5 }, { start: 9 }];
+    assert.equal(SlideTimeline.getSlideIndexAt(slides, 4.9), 0);
+    assert.equal(SlideTimeline.getSlideIndexAt(slides, 5), 2);
+    assert.equal(SlideTimeline.getSlideIndexAt(slides, 20), 3);
+    assert.equal(SlideTimeline.getSlideIndexAt([], 1), -1);
+});
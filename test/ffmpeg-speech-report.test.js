@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SpeechReport, { SPEECH_REPORT_VERSION } from '../modules/ffmpeg-speech-report.js';
+import SilenceAnalyzer from '../modules/ffmpeg-silence-analyzer.js';
+import MediaProbe from '../modules/ffmpeg-media-probe.js';
+
+const ASTATS_LOG = [
+    '[Parsed_astats_1 @ 0x1] Channel: 1',
+    '[Parsed_astats_1 @ 0x1] Peak level dB: -1.000000',
+    '[Parsed_astats_1 @ 0x1] Overall',
+    '[Parsed_astats_1 @ 0x1] Peak level dB: -3.200000',
+    '[Parsed_astats_1 @ 0x1] RMS level dB: -21.500000',
+    '[Parsed_astats_1 @ 0x1] RMS peak dB: -12.000000',
+    '[Parsed_astats_1 @ 0x1] RMS trough dB: -inf'
+].join('\n');
+
+const EBUR128_LOG = [
+    '[Parsed_ebur128_0 @ 0x1] Summary:',
+    '',
+    '  Integrated loudness:',
+    '    I:         -18.4 LUFS',
+    '    Threshold: -28.6 LUFS',
+    '',
+    '  Loudness range:',
+    '    LRA:         5.3 LU',
+    '',
+    '  True peak:',
+    '    Peak:       -2.1 dBFS'
+].join('\n');
+
+// 10秒录音：开头1秒静音，中间停顿2.5秒和0.5秒，结尾1秒静音
+const ANALYSIS = SilenceAnalyzer.analyze([
+    { start: 0, end: 1 },
+    { start: 3, end: 5.5 },
+    { start: 7, end: 7.5 },
+    { start: 9, end: null }
+], 10);
+
+test('parseAstatsOverall 只读取Overall部分，无法测量的值为NaN', () => {
+    assert.deepEqual(MediaProbe.parseAstatsOverall(ASTATS_LOG), {
+        peakLevel: -3.2,
+        rmsLevel: -21.5,
+        rmsPeak: -12,
+        rmsTrough: NaN
+    });
+    assert.equal(MediaProbe.parseAstatsOverall('no stats'), null);
+});
+
+test('parseEbur128Summary 解析综合响度、响度范围和真峰值', () => {
+    assert.deepEqual(MediaProbe.parseEbur128Summary(EBUR128_LOG), { integrated: -18.4, loudnessRange: 5.3, truePeak: -2.1 });
+    assert.equal(MediaProbe.parseEbur128Summary('no summary'), null);
+});
+
+test('build 不计首尾静音，中间静音计为停顿', () => {
+    const report = SpeechReport.build({ analysis: ANALYSIS });
+    assert.deepEqual(report.duration, {
+        total: 10,
+        talk: 8,
+        speaking: 5,
+        pauses: 3,
+        leadingSilence: 1,
+        trailingSilence: 1
+    });
+    assert.equal(report.speakingRatio, 0.625);
+    assert.equal(report.pauses.count, 2);
+    assert.equal(report.pauses.average, 1.5);
+    assert.equal(report.pauses.longest, 2.5);
+    assert.deepEqual(report.pauses.long, [{ start: 3, end: 5.5, duration: 2.5 }]);
+    assert.equal(report.loudness.consistency, 'unknown');
+});
+
+test('build 整段静音时演讲时长为0', () => {
+    const analysis = SilenceAnalyzer.analyze([{ start: 0, end: null }], 5);
+    const report = SpeechReport.build({ analysis });
+    assert.equal(report.silentOnly, true);
+    assert.equal(report.duration.talk, 0);
+    assert.equal(report.speakingRatio, null);
+    assert.equal(SpeechReport.describe(report), '整段都是静音，没有检测到说话');
+});
+
+test('summarizeLoudness 按响度范围评价稳定性，无法测量的值为null', () => {
+    const levels = MediaProbe.parseAstatsOverall(ASTATS_LOG);
+    const loudness = MediaProbe.parseEbur128Summary(EBUR128_LOG);
+    assert.deepEqual(SpeechReport.summarizeLoudness(levels, loudness), {
+        integrated: -18.4,
+        loudnessRange: 5.3,
+        truePeak: -2.1,
+        rmsLevel: -21.5,
+        peakLevel: -3.2,
+        consistency: 'stable'
+    });
+    assert.equal(SpeechReport.summarizeLoudness(null, { loudnessRange: 9 }).consistency, 'moderate');
+    assert.equal(SpeechReport.summarizeLoudness(null, { loudnessRange: 15 }).consistency, 'uneven');
+    assert.equal(SpeechReport.summarizeLoudness(null, { integrated: -Infinity, loudnessRange: NaN }).integrated, null);
+});
+
+test('evaluateTarget 超出容差时判定偏短或超时', () => {
+    const settings = { targetDuration: 60, durationTolerance: 10 };
+    assert.equal(SpeechReport.evaluateTarget(45, settings).status, 'short');
+    assert.equal(SpeechReport.evaluateTarget(50, settings).status, 'ok');
+    assert.equal(SpeechReport.evaluateTarget(70, settings).status, 'ok');
+    assert.deepEqual(SpeechReport.evaluateTarget(75.5, settings), {
+        duration: 60,
+        tolerance: 10,
+        actual: 75.5,
+        difference: 15.5,
+        status: 'long'
+    });
+    assert.equal(SpeechReport.evaluateTarget(null, settings).status, 'unknown');
+});
+
+test('withTarget 按新的目标时长重新评价', () => {
+    const report = SpeechReport.build({ analysis: ANALYSIS });
+    assert.equal(report.target.status, 'short');
+
+    const updated = SpeechReport.withTarget(report, { targetDuration: 8 });
+    assert.equal(updated.target.status, 'ok');
+    assert.equal(updated.settings.targetDuration, 8);
+    assert.equal(updated.settings.durationTolerance, report.settings.durationTolerance);
+    assert.equal(report.settings.targetDuration, 60);
+});
+
+test('describe 和 toJSON', () => {
+    const report = SpeechReport.build({
+        analysis: ANALYSIS,
+        levels: MediaProbe.parseAstatsOverall(ASTATS_LOG),
+        loudness: MediaProbe.parseEbur128Summary(EBUR128_LOG)
+    }, { targetDuration: 8 });
+
+    assert.equal(SpeechReport.describe(report),
+        '演讲 8.00秒（说话 5.00秒，停顿 3.00秒），长停顿 1 处，平均响度 -18.4 LUFS，'
+        + '音量稳定（响度范围 5.3 LU），时长达标（8.00秒，目标 8±10秒）');
+
+    const json = JSON.parse(SpeechReport.toJSON(report, { fileName: 'speech.mp4' }));
+    assert.equal(json.version, SPEECH_REPORT_VERSION);
+    assert.equal(json.fileName, 'speech.mp4');
+    assert.deepEqual(json.duration, report.duration);
+});
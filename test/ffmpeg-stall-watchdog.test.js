@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import FFmpegStallWatchdog from '../modules/ffmpeg-stall-watchdog.js';
+
+test('FFmpegStallWatchdog 超时没有进度时调用一次onStall，收到进度时重新计时', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const stalls = [];
+    const watchdog = new FFmpegStallWatchdog(60, (seconds) => stalls.push(seconds));
+
+    // 开始前的进度被忽略
+    watchdog.touch();
+    t.mock.timers.tick(120000);
+    assert.deepEqual(stalls, []);
+
+    watchdog.start();
+    t.mock.timers.tick(59000);
+    watchdog.touch();
+    t.mock.timers.tick(59000);
+    assert.deepEqual(stalls, []);
+
+    t.mock.timers.tick(1000);
+    assert.deepEqual(stalls, [60]);
+    watchdog.touch();
+    t.mock.timers.tick(120000);
+    assert.deepEqual(stalls, [60]);
+});
+
+test('FFmpegStallWatchdog stop后和超时为0时不检测', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const stalls = [];
+
+    const stopped = new FFmpegStallWatchdog(60, (seconds) => stalls.push(seconds));
+    stopped.start();
+    stopped.stop();
+    t.mock.timers.tick(120000);
+
+    const disabled = new FFmpegStallWatchdog(0, (seconds) => stalls.push(seconds));
+    disabled.start();
+    disabled.touch();
+    t.mock.timers.tick(120000);
+
+    assert.deepEqual(stalls, []);
+});
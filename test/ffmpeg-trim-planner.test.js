@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import TrimPlanner from '../modules/ffmpeg-trim-planner.js';
+
+test('hasTrim 只在真正裁剪时为true', () => {
+    assert.equal(TrimPlanner.hasTrim({}), false);
+    assert.equal(TrimPlanner.hasTrim({ trim: { start: 0 } }), false);
+    assert.equal(TrimPlanner.hasTrim({ trim: { start: 2 } }), true);
+    assert.equal(TrimPlanner.hasTrim({ trim: { start: 0, end: 5 } }), true);
+    assert.equal(TrimPlanner.hasTrim({ cuts: [] }), false);
+    assert.equal(TrimPlanner.hasTrim({ cuts: [{ start: 1, end: 2 }] }), true);
+});
+
+test('resolveRanges 从trim范围中去掉cuts', () => {
+    const ranges = TrimPlanner.resolveRanges({
+        trim: { start: 1, end: 20 },
+        cuts: [{ start: 10, end: 12 }, { start: 3, end: 5 }]
+    }, 30);
+    assert.deepEqual(ranges, [
+        { start: 1, end: 3 },
+        { start: 5, end: 10 },
+        { start: 12, end: 20 }
+    ]);
+});
+
+test('resolveRanges 时长未知时结尾区间的end为null，过短的区间被丢弃', () => {
+    assert.deepEqual(TrimPlanner.resolveRanges({ cuts: [{ start: 0, end: 4 }] }), [{ start: 4, end: null }]);
+    assert.deepEqual(TrimPlanner.resolveRanges({ cuts: [{ start: 4, end: 9.95 }] }, 10), [{ start: 0, end: 4 }]);
+});
+
+test('resolveRanges 拒绝无效区间和空结果', () => {
+    assert.throws(() => TrimPlanner.resolveRanges({ trim: { start: 5, end: 3 } }, 10), /无效的裁剪范围/);
+    assert.throws(() => TrimPlanner.resolveRanges({ cuts: [{ start: -1, end: 2 }] }, 10), /无效的剪切区间/);
+    assert.throws(() => TrimPlanner.resolveRanges({ cuts: [{ start: 0, end: 10 }] }, 10), /没有剩余内容/);
+});
+
+test('getTotalDuration 合计保留时长', () => {
+    const ranges = [{ start: 0, end: 4 }, { start: 6, end: null }];
+    assert.equal(TrimPlanner.getTotalDuration(ranges, 10), 8);
+    assert.equal(TrimPlanner.getTotalDuration(ranges), null);
+});
+
+test('canStreamCopy 要求每个区间从0或关键帧开始', () => {
+    const keyframes = [0, 2.002, 4.004];
+    assert.equal(TrimPlanner.canStreamCopy([{ start: 0, end: 3 }, { start: 4, end: null }], keyframes), true);
+    assert.equal(TrimPlanner.canStreamCopy([{ start: 2.5, end: 3 }], keyframes), false);
+    assert.equal(TrimPlanner.isOnKeyframe(2.04, keyframes), true);
+    assert.equal(TrimPlanner.describe([{ start: 0, end: 5 }, { start: 7, end: null }]), '0.00-5.00秒, 7.00秒-结尾');
+});